@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+// ============================================
+// EJECUTOR DE PROGRAMAS RISC-V DESDE LA LÍNEA DE COMANDOS
+// ============================================
+//
+// Uso: node JS/cli.js programa.s [opciones]
+// Ensambla el programa con el núcleo del simulador (JS/simulator.js), lo
+// ejecuta hasta que termina o alcanza el límite de instrucciones e imprime
+// la salida de la consola, los registros y la memoria finales como texto o JSON.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    processor,
+    ABI_REGISTER_NAMES,
+    loadProgram,
+    runUntilHalt,
+    formatAssemblyError,
+    setMemorySize,
+    setTextBase,
+    ISA_PROFILES,
+    setISA,
+    setCacheConfig,
+    getCacheStats,
+    BRANCH_PREDICTORS,
+    setPredictorConfig,
+    getPredictorStats,
+    INSTRUCTION_CLASSES,
+    getRunStats,
+    buildStatsCSV,
+    setExecutionMode,
+    readMemory,
+    formatHex
+} = require('./simulator.js');
+
+const USAGE = `Uso: node JS/cli.js <programa.s> [opciones]
+
+Opciones:
+  --max <n>           Máximo de instrucciones (ciclos en modo pipeline), por defecto 100000
+  --json              Imprimir el resultado en JSON
+  --pipeline          Ejecutar en el pipeline de 5 etapas
+  --no-forwarding     Desactivar el adelantamiento del pipeline
+  --memory-size <n>   Tamaño de la memoria de datos en bytes, por defecto 1024
+  --text-base <n>     Dirección base del segmento de código, por defecto 0x00000000
+  --isa <perfil>      Repertorio de instrucciones (RV32I o RV32IM), por defecto RV32IM
+  --cache <t>,<b>,<v> Activar la caché de datos: tamaño, bloque (bytes) y vías
+  --cache-replacement <LRU|FIFO|random>
+                      Política de reemplazo de la caché, por defecto LRU
+  --write-through     Caché write-through sin asignación (por defecto write-back)
+  --predictor <tipo>[,<entradas>]
+                      Activar el predictor de saltos: not-taken, btfn, one-bit,
+                      two-bit o gshare, con 16 entradas por defecto
+  --clock <ns>        Periodo de reloj para estimar el tiempo, por defecto 10 ns
+  --csv <fichero>     Guardar las estadísticas de la ejecución en CSV
+  --input <fichero>   Líneas de entrada para read_int ("-" para la entrada estándar)
+  --log               Imprimir también el log de ejecución
+  -h, --help          Mostrar esta ayuda
+
+Código de salida: 0 si el programa termina, el código de exit si termina con
+la llamada al sistema exit, 1 si hay errores de uso o de ensamblado, 2 si se
+produce un fallo, falta entrada o se alcanza el límite de instrucciones`;
+
+/**
+ * Descripción de cada motivo de parada de runUntilHalt
+ */
+const STOP_REASONS = {
+    end: 'fin del programa',
+    halt: 'detenida por EBREAK',
+    exit: 'terminada con exit',
+    input: 'read_int espera una línea de entrada que no hay',
+    fault: 'fallo de ejecución',
+    limit: 'límite de instrucciones alcanzado'
+};
+
+/**
+ * Terminar con un mensaje de error de uso
+ * @param {string} message - Descripción del error
+ */
+function fail(message) {
+    console.error(`Error: ${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+/**
+ * Leer un argumento numérico (decimal o hexadecimal)
+ * @param {string} option - Nombre de la opción, para el mensaje de error
+ * @param {string} value - Texto del argumento
+ * @returns {number} - Valor entero no negativo
+ */
+function parseIntegerOption(option, value) {
+    const number = Number(value);
+    
+    if (value === undefined || !Number.isInteger(number) || number < 0) {
+        fail(`${option} necesita un entero no negativo`);
+    }
+    return number;
+}
+
+/**
+ * Interpretar los argumentos de la línea de comandos
+ * @param {Array} args - Argumentos (sin node ni el nombre del script)
+ * @returns {Object} - Opciones de la ejecución
+ */
+function parseArguments(args) {
+    const options = {
+        file: null,
+        max: 100000,
+        json: false,
+        pipeline: false,
+        forwarding: true,
+        memorySize: processor.config.memorySize,
+        textBase: processor.config.textBase,
+        isa: processor.config.isa,
+        cache: null,
+        predictor: null,
+        clockPeriod: processor.config.clockPeriod,
+        csv: null,
+        input: null,
+        log: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        switch (arg) {
+            case '-h':
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            case '--max':
+                options.max = parseIntegerOption(arg, args[++i]);
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--pipeline':
+                options.pipeline = true;
+                break;
+            case '--no-forwarding':
+                options.forwarding = false;
+                break;
+            case '--memory-size':
+                options.memorySize = parseIntegerOption(arg, args[++i]);
+                break;
+            case '--text-base':
+                options.textBase = parseIntegerOption(arg, args[++i]);
+                if (options.textBase % 4 !== 0) {
+                    fail('--text-base debe ser múltiplo de 4');
+                }
+                break;
+            case '--isa':
+                options.isa = (args[++i] || '').toUpperCase();
+                if (!Object.hasOwn(ISA_PROFILES, options.isa)) {
+                    fail(`--isa debe ser uno de: ${Object.keys(ISA_PROFILES).join(', ')}`);
+                }
+                break;
+            case '--cache': {
+                const [size, blockSize, associativity] = (args[++i] || '').split(',').map(Number);
+                options.cache = { ...options.cache, enabled: true, size, blockSize, associativity };
+                break;
+            }
+            case '--cache-replacement':
+                options.cache = { ...options.cache, replacement: args[++i] };
+                break;
+            case '--predictor': {
+                const [type, tableSize] = (args[++i] || '').split(',');
+                if (!Object.hasOwn(BRANCH_PREDICTORS, type)) {
+                    fail(`--predictor debe ser uno de: ${Object.keys(BRANCH_PREDICTORS).join(', ')}`);
+                }
+                options.predictor = { enabled: true, type };
+                if (tableSize !== undefined) {
+                    options.predictor.tableSize = Number(tableSize);
+                }
+                break;
+            }
+            case '--clock':
+                options.clockPeriod = Number(args[++i]);
+                if (!(options.clockPeriod > 0)) {
+                    fail('--clock debe ser un número de nanosegundos mayor que 0');
+                }
+                break;
+            case '--csv':
+                options.csv = args[++i];
+                if (options.csv === undefined) {
+                    fail('--csv necesita un fichero');
+                }
+                break;
+            case '--write-through':
+                options.cache = { ...options.cache, writePolicy: 'write-through' };
+                break;
+            case '--input':
+                options.input = args[++i];
+                if (options.input === undefined) {
+                    fail('--input necesita un fichero o "-"');
+                }
+                break;
+            case '--log':
+                options.log = true;
+                break;
+            default:
+                if (arg.startsWith('-') || options.file !== null) {
+                    fail(`argumento no reconocido: ${arg}`);
+                }
+                options.file = arg;
+        }
+    }
+    
+    if (options.file === null) {
+        fail('falta el fichero del programa');
+    }
+    if (options.cache !== null && !options.cache.enabled) {
+        fail('--cache-replacement y --write-through necesitan --cache');
+    }
+    return options;
+}
+
+/**
+ * Obtener las palabras de la memoria de datos distintas de cero
+ * @returns {Array} - Lista de { address, value }
+ */
+function getNonZeroWords() {
+    const words = [];
+    
+    for (let address = 0; address + 4 <= processor.memory.length; address += 4) {
+        const value = readMemory(address, 4, true);
+        if (value !== 0) {
+            words.push({ address, value });
+        }
+    }
+    return words;
+}
+
+/**
+ * Construir el resultado de la ejecución en un objeto serializable
+ * @param {Object} options - Opciones de la ejecución
+ * @param {Object} run - Resultado de runUntilHalt
+ * @returns {Object}
+ */
+function buildReport(options, run) {
+    const report = {
+        file: options.file,
+        mode: processor.config.mode,
+        isa: processor.config.isa,
+        executed: run.executed,
+        reason: run.reason,
+        fault: processor.fault ? processor.fault.message : null,
+        exitCode: processor.environment.exitCode,
+        output: processor.environment.output,
+        pc: processor.pc,
+        registers: processor.registers.slice(),
+        memory: Object.fromEntries(getNonZeroWords().map(({ address, value }) => [formatHex(address), value])),
+        symbols: processor.symbols,
+        stats: getRunStats()
+    };
+    
+    if (processor.config.cache.enabled) {
+        report.cache = { ...processor.config.cache, ...getCacheStats() };
+    }
+    if (processor.config.predictor.enabled) {
+        report.predictor = { ...processor.config.predictor, ...getPredictorStats() };
+    }
+    
+    if (processor.config.mode === 'pipeline') {
+        const { cycle, retired, stalls, flushes } = processor.pipeline;
+        report.pipeline = { cycles: cycle, retired, stalls, flushes, forwarding: processor.config.forwarding };
+    }
+    if (options.log) {
+        report.log = processor.executionLog;
+    }
+    return report;
+}
+
+/**
+ * Imprimir el resultado de la ejecución como texto
+ * @param {Object} report - Resultado de buildReport
+ */
+function printReport(report) {
+    const lines = [];
+    
+    lines.push(`Programa: ${report.file} (${report.isa})`);
+    lines.push(`Ejecución: ${report.executed} ${report.mode === 'pipeline' ? 'ciclos' : 'instrucciones'}, ` +
+        STOP_REASONS[report.reason] + (report.fault ? ` (${report.fault})` : '') +
+        (report.exitCode !== null ? ` (código ${report.exitCode})` : ''));
+    if (report.pipeline) {
+        const { retired, stalls, flushes } = report.pipeline;
+        lines.push(`Pipeline: ${retired} instrucciones completadas, ${stalls} paradas, ${flushes} vaciadas`);
+    }
+    if (report.cache) {
+        const { size, blockSize, associativity, accesses, hits, misses, hitRate, amat } = report.cache;
+        lines.push(`Caché: ${size} B, bloques de ${blockSize} B, ${associativity} vía(s): ${accesses} accesos, ` +
+            `${hits} aciertos, ${misses} fallos (${(hitRate * 100).toFixed(1)} % de aciertos), AMAT ${amat.toFixed(2)} ciclos`);
+    }
+    if (report.predictor) {
+        const { type, branches, correct, accuracy, penaltyCycles } = report.predictor;
+        lines.push(`Predictor ${type}: ${correct} de ${branches} saltos acertados ` +
+            `(${(accuracy * 100).toFixed(1)} %), ${penaltyCycles} ciclos de penalización`);
+    }
+    const { stats } = report;
+    lines.push(`Estadísticas: ${stats.instructions} instrucciones, ${stats.cycles} ciclos, CPI ${stats.cpi.toFixed(2)}, ` +
+        `${stats.time} ns con un reloj de ${stats.clockPeriod} ns`);
+    lines.push('Mezcla: ' + Object.keys(INSTRUCTION_CLASSES).map(type => `${type} ${stats[type]}`).join(', ') +
+        ` · saltos tomados ${stats.branchesTaken}, no tomados ${stats.branchesNotTaken}` +
+        ` · lecturas ${stats.memoryReads}, escrituras ${stats.memoryWrites}`);
+    lines.push(`PC: ${formatHex(report.pc)}`);
+    
+    if (report.output !== '') {
+        lines.push('', 'Salida de la consola:', ...report.output.replace(/\n$/, '').split('\n'));
+    }
+    
+    if (report.log) {
+        lines.push('', 'Log de ejecución:', ...report.log);
+    }
+    
+    lines.push('', 'Registros:');
+    report.registers.forEach((value, i) => {
+        const name = `x${i} (${ABI_REGISTER_NAMES[i]})`.padEnd(11);
+        lines.push(`  ${name} = ${formatHex(value)}  ${value}`);
+    });
+    
+    const memory = Object.entries(report.memory);
+    lines.push('', memory.length > 0 ? 'Memoria (palabras distintas de cero):' : 'Memoria: todo a cero');
+    memory.forEach(([address, value]) => {
+        lines.push(`  ${address}: ${formatHex(value)}  ${value}`);
+    });
+    
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Leer las líneas de entrada de la consola
+ * @param {string} file - Fichero, o "-" para la entrada estándar
+ * @returns {Array} - Líneas sin el salto de línea final
+ */
+function readInputLines(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8');
+    } catch (error) {
+        console.error(`Error: no se puede leer la entrada ${file}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines.at(-1) === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Programa principal
+ */
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    
+    let source;
+    try {
+        source = fs.readFileSync(path.resolve(options.file), 'utf8');
+    } catch (error) {
+        console.error(`Error: no se puede leer ${options.file}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    processor.config.forwarding = options.forwarding;
+    setExecutionMode(options.pipeline ? 'pipeline' : 'single');
+    setMemorySize(options.memorySize);
+    setTextBase(options.textBase);
+    setISA(options.isa);
+    processor.config.clockPeriod = options.clockPeriod;
+    if (options.cache !== null) {
+        try {
+            setCacheConfig(options.cache);
+        } catch (error) {
+            fail(`--cache: ${error.message}`);
+        }
+    }
+    if (options.predictor !== null) {
+        try {
+            setPredictorConfig(options.predictor);
+        } catch (error) {
+            fail(`--predictor: ${error.message}`);
+        }
+    }
+    
+    const errors = loadProgram(source);
+    if (errors.length > 0) {
+        if (options.json) {
+            console.log(JSON.stringify({ file: options.file, errors }, null, 2));
+        } else {
+            errors.forEach(error => console.error(`${options.file}: ${formatAssemblyError(error)}`));
+        }
+        process.exit(1);
+    }
+    
+    if (options.input !== null) {
+        processor.environment.input.push(...readInputLines(options.input));
+    }
+    
+    const run = runUntilHalt(options.max);
+    const report = buildReport(options, run);
+    
+    if (options.csv !== null) {
+        try {
+            fs.writeFileSync(path.resolve(options.csv), buildStatsCSV());
+        } catch (error) {
+            console.error(`Error: no se puede escribir ${options.csv}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+    
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    
+    if (run.reason === 'exit') {
+        process.exitCode = report.exitCode & 0xFF;
+    } else {
+        process.exitCode = ['fault', 'input', 'limit'].includes(run.reason) ? 2 : 0;
+    }
+}
+
+main();
@@ -0,0 +1,258 @@
+// ============================================
+// PROGRAMAS DE EJEMPLO
+// ============================================
+
+/**
+ * Programas disponibles en el menú de ejemplos: { name, source }
+ */
+const EXAMPLE_PROGRAMS = [
+    {
+        name: 'Operaciones básicas',
+        source: `addi x1, x0, 10    # x1 = 10
+addi x2, x0, 20    # x2 = 20
+add x3, x1, x2     # x3 = x1 + x2 = 30
+sub x4, x2, x1     # x4 = x2 - x1 = 10`
+    },
+    {
+        name: 'Suma de un vector',
+        source: `# Suma los elementos de un vector y guarda el resultado en memoria
+        .data
+vector: .word 12, -3, 45, 7, 0x10
+n:      .word 5
+suma:   .word 0
+
+        .text
+        la t0, vector
+        la t1, n
+        lw t1, 0(t1)
+        li a0, 0
+bucle:  lw t2, 0(t0)
+        add a0, a0, t2
+        addi t0, t0, 4
+        addi t1, t1, -1
+        bnez t1, bucle
+        la t3, suma
+        sw a0, 0(t3)`
+    },
+    {
+        name: 'Factorial recursivo',
+        source: `# Calcula 5! con una función recursiva que usa la pila
+        .text
+main:   li sp, 1024             # pila al final de la memoria de datos
+        li a0, 5
+        call factorial
+        j fin
+
+# a0 = a0! (guarda ra y n en la pila)
+factorial:
+        addi sp, sp, -8
+        sw ra, 4(sp)
+        sw a0, 0(sp)
+        li t0, 1
+        ble a0, t0, caso_base
+        addi a0, a0, -1
+        call factorial
+        lw t1, 0(sp)
+        mv t2, a0               # a0 = n * (n-1)! por sumas sucesivas
+        li a0, 0
+multiplicar:
+        add a0, a0, t2
+        addi t1, t1, -1
+        bnez t1, multiplicar
+        j salir
+caso_base:
+        li a0, 1
+salir:  lw ra, 4(sp)
+        addi sp, sp, 8
+        ret
+
+fin:    nop`
+    },
+    {
+        name: 'Ordenación por burbuja',
+        source: `# Ordena de menor a mayor un vector de enteros con signo
+        .data
+vector: .word 23, -5, 1024, 0, -300, 7, 42, 1
+n:      .word 8
+
+        .text
+        la a0, vector
+        la t0, n
+        lw a1, 0(t0)
+        addi a1, a1, -1         # pasadas = n - 1
+externo:
+        blez a1, fin
+        mv t0, a0
+        li t1, 0                # intercambios en esta pasada
+        mv t2, a1
+interno:
+        lw t3, 0(t0)
+        lw t4, 4(t0)
+        ble t3, t4, siguiente
+        sw t4, 0(t0)
+        sw t3, 4(t0)
+        addi t1, t1, 1
+siguiente:
+        addi t0, t0, 4
+        addi t2, t2, -1
+        bnez t2, interno
+        addi a1, a1, -1
+        bnez t1, externo        # sin intercambios el vector ya está ordenado
+fin:    nop`
+    },
+    {
+        name: 'Fibonacci',
+        source: `# Guarda en memoria los 12 primeros términos de la sucesión de Fibonacci
+        .data
+fib:    .space 48
+
+        .text
+        la s0, fib
+        li t0, 0                # F(i)
+        li t1, 1                # F(i+1)
+        li t3, 12
+bucle:  sw t0, 0(s0)
+        add t2, t0, t1
+        mv t0, t1
+        mv t1, t2
+        addi s0, s0, 4
+        addi t3, t3, -1
+        bnez t3, bucle`
+    },
+    {
+        name: 'Cadenas de texto',
+        source: `# Cuenta los caracteres de una cadena terminada en cero y la pasa a mayúsculas
+        .data
+texto:  .asciz "hola, risc-v"
+
+        .text
+        la a0, texto
+        li a1, 0                # longitud
+        li t2, 'a'
+        li t3, 'z'
+bucle:  lbu t0, 0(a0)
+        beqz t0, fin
+        blt t0, t2, siguiente
+        bgt t0, t3, siguiente
+        addi t0, t0, -32        # 'a' - 'A'
+        sb t0, 0(a0)
+siguiente:
+        addi a0, a0, 1
+        addi a1, a1, 1
+        j bucle
+fin:    nop`
+    },
+    {
+        name: 'Riesgos del pipeline',
+        source: `# Dependencias de datos y de control para observar en el modo pipeline:
+# adelantamiento, parada por carga-uso y vaciado en los saltos tomados
+        .data
+v:      .word 7, 8
+
+        .text
+        la t0, v
+        lw t1, 0(t0)
+        add t2, t1, t1          # carga-uso: una parada aunque haya adelantamiento
+        addi t3, t2, 1          # dependencia EX → EX: se resuelve adelantando
+        sub t4, t3, t2
+        li t5, 3
+bucle:  addi t5, t5, -1
+        bnez t5, bucle          # salto tomado: se vacían las instrucciones buscadas
+        sw t4, 4(t0)`
+    },
+    {
+        name: 'Consola (llamadas al sistema)',
+        source: `# Lee números de la consola hasta recibir un 0 y escribe su suma
+# Las llamadas se eligen con a7 (ver la ayuda del panel Consola)
+        .data
+pedir:  .asciz "Número (0 para terminar): "
+total:  .asciz "Suma: "
+
+        .text
+        li s0, 0                # suma acumulada
+bucle:  li a7, 4                # print_string
+        la a0, pedir
+        ecall
+        li a7, 5                # read_int: espera una línea en la consola
+        ecall
+        beqz a0, fin
+        add s0, s0, a0
+        j bucle
+fin:    li a7, 4
+        la a0, total
+        ecall
+        li a7, 1                # print_int
+        mv a0, s0
+        ecall
+        li a7, 11               # print_char
+        li a0, '\\n'
+        ecall
+        li a7, 93               # exit con código: 0 si la suma es par
+        andi a0, s0, 1
+        ecall`
+    },
+    {
+        name: 'Dispositivos de E/S',
+        source: `# Copia los interruptores en los LEDs, muestra su valor en hexadecimal en el
+# display y pinta un píxel en la pantalla por cada tecla pulsada ('q' termina)
+        .data
+hex:    .byte 0x3F, 0x06, 0x5B, 0x4F, 0x66, 0x6D, 0x7D, 0x07   # segmentos de 0-7
+        .byte 0x7F, 0x6F, 0x77, 0x7C, 0x39, 0x5E, 0x79, 0x71   # segmentos de 8-F
+
+        .text
+        li s0, 0xFFFF0000       # base de los dispositivos
+        li s1, 0xFFFF1000       # pantalla de 32x32
+        la s2, hex
+        li s3, 0x0000FF00       # color de los píxeles (verde)
+bucle:  lw t0, 4(s0)            # interruptores
+        sw t0, 0(s0)            # LEDs
+        andi t1, t0, 0xF
+        add t1, s2, t1
+        lbu t1, 0(t1)
+        sb t1, 8(s0)            # dígito de la derecha
+        srli t1, t0, 4
+        andi t1, t1, 0xF
+        add t1, s2, t1
+        lbu t1, 0(t1)
+        sb t1, 9(s0)
+        lw t2, 12(s0)           # ¿hay una tecla sin leer?
+        beqz t2, bucle
+        lw t3, 16(s0)           # leer la tecla la marca como leída
+        li t4, 'q'
+        beq t3, t4, fin
+        sw s3, 0(s1)            # siguiente píxel
+        addi s1, s1, 4
+        j bucle
+fin:    li a7, 10
+        ecall`
+    },
+    {
+        name: 'Excepciones y CSR',
+        source: `# Instala un manejador de excepciones que cuenta los fallos y salta la
+# instrucción que los provoca; observa mepc, mcause y mtval en el panel CSR
+        .data
+fallos: .word 0
+
+        .text
+        la t0, manejador
+        csrw mtvec, t0
+        li t1, 0x80000000
+        lw a0, 2(x0)            # carga desalineada (mcause = 4)
+        sw a0, 0(t1)            # fuera de la memoria (mcause = 7)
+        .word 0xFFFFFFFF        # instrucción ilegal (mcause = 2)
+        la t0, fallos
+        lw a1, 0(t0)            # a1 = 3
+        li a7, 10
+        ecall
+
+manejador:
+        la t2, fallos
+        lw t3, 0(t2)
+        addi t3, t3, 1
+        sw t3, 0(t2)
+        csrr t4, mepc           # continuar en la instrucción siguiente
+        addi t4, t4, 4
+        csrw mepc, t4
+        mret`
+    }
+];
@@ -1,545 +1,284 @@
 // ============================================
 // SIMULADOR DE PROCESADOR RISC-V MONOCICLO
 // ============================================
+//
+// Interfaz de la página. El estado del procesador, el ensamblador y la
+// ejecución están en JS/simulator.js, que se carga antes que este fichero.
 
 /**
- * Estado del procesador
- */
-const processor = {
-    // Banco de 32 registros de 32 bits
-    registers: Array(32).fill(0),
-    
-    // Memoria de datos (256 palabras de 32 bits)
-    memory: Array(256).fill(0),
-    
-    // Program Counter
-    pc: 0,
-    
-    // Lista de instrucciones del programa
-    instructions: [
-        'addi x1, x0, 10',    // x1 = 10
-        'addi x2, x0, 20',    // x2 = 20
-        'add x3, x1, x2',     // x3 = x1 + x2 = 30
-        'sub x4, x2, x1',     // x4 = x2 - x1 = 10
-    ],
-    
-    // Señales de control
-    controlSignals: {
-        RegWrite: false,
-        ALUSrc: false,
-        MemWrite: false,
-        MemRead: false,
-        MemToReg: false,
-        Branch: false,
-        ALUOp: '00'
-    },
-    
-    // Valores internos del ciclo actual
-    internals: {
-        instruction: '',
-        opcode: 0,
-        rd: 0,
-        rs1: 0,
-        rs2: 0,
-        funct3: 0,
-        funct7: 0,
-        imm: 0,
-        aluResult: 0,
-        readData1: 0,
-        readData2: 0,
-        memData: 0
-    },
-    
-    // Log de ejecución
-    executionLog: [],
-    
-    // Estado de ejecución automática
-    isRunning: false
+ * Preferencias de visualización de la interfaz
+ */
+const uiState = {
+    // Formato de los registros y la memoria: 'signed', 'unsigned', 'hex', 'binary' o 'ascii'
+    displayFormat: 'signed',
+    
+    // Si la ejecución automática se detuvo esperando una línea de la consola, se reanuda al enviarla
+    resumeRunOnInput: false,
+    
+    // Error de la última configuración de la caché que se rechazó (null si no hay)
+    cacheError: null
 };
 
+/**
+ * Nombre de cada estado de los contadores de 2 bits del predictor de saltos
+ */
+const PREDICTOR_COUNTER_NAMES = ['NT fuerte', 'NT débil', 'T débil', 'T fuerte'];
+
 // ============================================
-// FUNCIONES DE DECODIFICACIÓN DE INSTRUCCIONES
+// ENSAMBLADO DEL PROGRAMA
 // ============================================
 
 /**
- * Parsear una instrucción de texto a sus componentes
- * @param {string} instrText - Texto de la instrucción (ej: "add x1, x2, x3")
- * @returns {Object} - Objeto con opcode y registros
+ * Validar el programa antes de ejecutarlo
+ * Reensambla el código y, si hay errores, los marca en la lista de instrucciones
+ * @returns {boolean} - true si el programa puede ejecutarse
  */
-function parseInstruction(instrText) {
-    // Limpiar y separar la instrucción
-    const parts = instrText.trim().toLowerCase().replace(/,/g, '').split(/\s+/);
-    const opcode = parts[0];
+function validateProgram() {
+    assembleProgram();
     
-    // Extraer registros y valores inmediatos
-    const regs = parts.slice(1).map(r => {
-        if (r.startsWith('x')) {
-            return parseInt(r.substring(1));
-        }
-        // Si es un número inmediato
-        return parseInt(r);
-    });
+    const count = processor.assemblyErrors.length;
+    if (count > 0) {
+        setAssemblyStatus(`⛔ El programa tiene ${count} error(es), corrígelos antes de ejecutar. ` +
+            formatAssemblyError(processor.assemblyErrors[0]));
+        updateInstructionList();
+        return false;
+    }
     
-    return { opcode, regs };
+    setAssemblyStatus('');
+    return true;
 }
 
+// ============================================
+// HISTORIAL DE EJECUCIÓN
+// ============================================
+
 /**
- * Obtener el código de operación binario según el mnemónico
- * @param {string} mnemonic - Mnemónico de la instrucción
- * @returns {number} - Código de operación
+ * Llevar el procesador a una posición del historial y refrescar la interfaz
+ * @param {number} position - Número de registros aplicados (0 = antes de la primera)
  */
-function getOpcodeValue(mnemonic) {
-    const opcodes = {
-        // Tipo R (operaciones entre registros)
-        'add': 0b0110011, 'sub': 0b0110011, 'and': 0b0110011,
-        'or': 0b0110011, 'xor': 0b0110011, 'slt': 0b0110011,
-        'sltu': 0b0110011, 'sll': 0b0110011, 'srl': 0b0110011,
-        'sra': 0b0110011,
-        
-        // Tipo I (operaciones con inmediatos)
-        'addi': 0b0010011, 'andi': 0b0010011, 'ori': 0b0010011,
-        'xori': 0b0010011, 'slti': 0b0010011, 'sltiu': 0b0010011,
-        'slli': 0b0010011, 'srli': 0b0010011, 'srai': 0b0010011,
-        
-        // Tipo I (load - carga desde memoria)
-        'lw': 0b0000011, 'lh': 0b0000011, 'lb': 0b0000011,
-        'lhu': 0b0000011, 'lbu': 0b0000011,
-        
-        // Tipo S (store - almacenamiento en memoria)
-        'sw': 0b0100011, 'sh': 0b0100011, 'sb': 0b0100011,
-        
-        // Tipo B (branch - saltos condicionales)
-        'beq': 0b1100011, 'bne': 0b1100011, 'blt': 0b1100011,
-        'bge': 0b1100011, 'bltu': 0b1100011, 'bgeu': 0b1100011
-    };
-    
-    return opcodes[mnemonic] || 0;
+function navigateHistory(position) {
+    stopRun();
+    goToHistory(position);
+    updateUI();
 }
 
 /**
- * Obtener el campo funct3 de la instrucción
- * @param {string} mnemonic - Mnemónico de la instrucción
- * @returns {number} - Valor de funct3
+ * Deshacer la última instrucción ejecutada
  */
-function getFunct3(mnemonic) {
-    const funct3Map = {
-        // Tipo R
-        'add': 0b000, 'sub': 0b000, 'sll': 0b001, 'slt': 0b010,
-        'sltu': 0b011, 'xor': 0b100, 'srl': 0b101, 'sra': 0b101,
-        'or': 0b110, 'and': 0b111,
-        
-        // Tipo I (operaciones)
-        'addi': 0b000, 'slti': 0b010, 'sltiu': 0b011, 'xori': 0b100,
-        'ori': 0b110, 'andi': 0b111, 'slli': 0b001, 'srli': 0b101,
-        'srai': 0b101,
-        
-        // Tipo I (load)
-        'lb': 0b000, 'lh': 0b001, 'lw': 0b010, 'lbu': 0b100, 'lhu': 0b101,
-        
-        // Tipo S
-        'sb': 0b000, 'sh': 0b001, 'sw': 0b010,
-        
-        // Tipo B
-        'beq': 0b000, 'bne': 0b001, 'blt': 0b100, 'bge': 0b101,
-        'bltu': 0b110, 'bgeu': 0b111
-    };
-    
-    return funct3Map[mnemonic] || 0;
+function stepBack() {
+    navigateHistory(processor.historyPosition - 1);
 }
 
 /**
- * Obtener el campo funct7 para instrucciones tipo R
- * @param {string} mnemonic - Mnemónico de la instrucción
- * @returns {number} - Valor de funct7
+ * Volver al estado justo después de la instrucción que generó una entrada del log
+ * @param {number} index - Índice de la entrada en processor.executionLog
  */
-function getFunct7(mnemonic) {
-    const funct7Map = {
-        'sub': 0b0100000,
-        'sra': 0b0100000,
-        'srai': 0b0100000
-    };
-    
-    return funct7Map[mnemonic] || 0b0000000;
+function goToLogEntry(index) {
+    navigateHistory(processor.history.findLastIndex(record => record.logStart <= index) + 1);
 }
 
 // ============================================
-// FUNCIONES DE LA ALU
+// PUNTOS DE RUPTURA
 // ============================================
 
 /**
- * Ejecutar operación en la ALU
- * @param {string} op - Operación a realizar
- * @param {number} a - Operando A
- * @param {number} b - Operando B
- * @param {number} funct3 - Campo funct3
- * @param {number} funct7 - Campo funct7
- * @returns {number} - Resultado de la operación
+ * Activar o desactivar el punto de ruptura de una línea
+ * @param {number} line - Índice de la línea
  */
-function executeALU(op, a, b, funct3, funct7) {
-    // Convertir a enteros de 32 bits con signo
-    const toSigned32 = (n) => {
-        n = n | 0; // Convertir a int32
-        return n;
-    };
+function toggleBreakpoint(line) {
+    if (processor.breakpoints[line]) {
+        delete processor.breakpoints[line];
+    } else {
+        processor.breakpoints[line] = { text: '', condition: null };
+    }
+    updateInstructionList();
+}
+
+/**
+ * Pedir la condición del punto de ruptura de una línea (vacía = incondicional)
+ * @param {number} line - Índice de la línea
+ */
+function editBreakpointCondition(line) {
+    const current = processor.breakpoints[line];
+    const text = prompt('Condición del punto de ruptura (ej: x5 == 10). Vacía para detenerse siempre:',
+        current ? current.text : '');
     
-    a = toSigned32(a);
-    b = toSigned32(b);
+    if (text === null) {
+        return;
+    }
     
-    switch (funct3) {
-        case 0b000: // ADD/SUB
-            if (funct7 === 0b0100000) {
-                return a - b; // SUB
-            }
-            return a + b; // ADD
-            
-        case 0b001: // SLL (shift left logical)
-            return a << (b & 0x1F);
-            
-        case 0b010: // SLT (set less than)
-            return a < b ? 1 : 0;
-            
-        case 0b011: // SLTU (set less than unsigned)
-            return (a >>> 0) < (b >>> 0) ? 1 : 0;
-            
-        case 0b100: // XOR
-            return a ^ b;
-            
-        case 0b101: // SRL/SRA (shift right)
-            if (funct7 === 0b0100000) {
-                return a >> (b & 0x1F); // SRA (arithmetic)
-            }
-            return a >>> (b & 0x1F); // SRL (logical)
-            
-        case 0b110: // OR
-            return a | b;
-            
-        case 0b111: // AND
-            return a & b;
-            
-        default:
-            return 0;
+    try {
+        const condition = text.trim() ? parseBreakpointCondition(text) : null;
+        processor.breakpoints[line] = { text: text.trim(), condition };
+        setAssemblyStatus('');
+    } catch (error) {
+        setAssemblyStatus(`⛔ ${error.message}`);
     }
+    updateInstructionList();
 }
 
 // ============================================
-// EJECUCIÓN DE INSTRUCCIONES
+// FUNCIONES DE CONTROL
 // ============================================
 
 /**
- * Ejecutar la instrucción actual apuntada por el PC
+ * Ejecutar un paso (una instrucción)
  */
-function executeInstruction() {
-    // Verificar si hay instrucciones para ejecutar
-    if (processor.pc >= processor.instructions.length) {
-        addToLog('⚠ Fin del programa');
-        processor.isRunning = false;
-        updateUI();
+function stepExecution() {
+    if (!validateProgram()) {
         return;
     }
     
-    // Obtener la instrucción actual
-    const instrText = processor.instructions[processor.pc];
-    const { opcode: mnemonic, regs } = parseInstruction(instrText);
-    
-    // Decodificar la instrucción
-    const opcodeValue = getOpcodeValue(mnemonic);
-    const funct3 = getFunct3(mnemonic);
-    const funct7 = getFunct7(mnemonic);
+    if (hasPendingInstructions()) {
+        uiState.resumeRunOnInput = false;
+        executeInstruction();
+        updateUI();
+    }
+}
+
+/**
+ * Velocidades de ejecución automática (ms entre instrucciones), de la más lenta a la más rápida
+ */
+const RUN_SPEEDS = [1000, 500, 200, 50, 10, 0];
+
+/**
+ * Instrucciones que se ejecutan entre refrescos de la interfaz a máxima velocidad
+ */
+const RUN_BATCH_SIZE = 1000;
+
+/**
+ * Ejecutar todo el programa automáticamente, o pausarlo si ya se está ejecutando
+ */
+function runProgram() {
+    if (processor.runControl.timer !== null) {
+        pauseProgram();
+        return;
+    }
     
-    let aluResult = 0;
-    let logMessage = '';
-    let newPC = processor.pc + 1;
+    if (!validateProgram()) {
+        return;
+    }
     
-    // Determinar el tipo de instrucción
-    const isRType = opcodeValue === 0b0110011;
-    const isIType = opcodeValue === 0b0010011;
-    const isLoad = opcodeValue === 0b0000011;
-    const isStore = opcodeValue === 0b0100011;
-    const isBranch = opcodeValue === 0b1100011;
+    processor.isRunning = true;
+    processor.runControl.executed = 0;
+    processor.runControl.timer = setTimeout(runStep, processor.runControl.delay);
+    updateRunControls();
+}
+
+/**
+ * Ejecutar el siguiente paso (o bloque, a máxima velocidad) de la ejecución automática
+ */
+function runStep() {
+    const control = processor.runControl;
+    const batchSize = control.delay === 0 ? RUN_BATCH_SIZE : 1;
     
-    // ========== TIPO R (Operaciones entre registros) ==========
-    if (isRType) {
-        const rd = regs[0];   // Registro destino
-        const rs1 = regs[1];  // Registro fuente 1
-        const rs2 = regs[2];  // Registro fuente 2
-        
-        const val1 = processor.registers[rs1];
-        const val2 = processor.registers[rs2];
-        
-        // Ejecutar operación en la ALU
-        aluResult = executeALU(mnemonic, val1, val2, funct3, funct7);
-        
-        // Escribir resultado (x0 siempre es 0)
-        if (rd !== 0) {
-            processor.registers[rd] = aluResult;
-        }
-        
-        logMessage = `${mnemonic.toUpperCase()} x${rd}, x${rs1}, x${rs2} → x${rd} = ${aluResult}`;
-        
-        // Configurar señales de control
-        processor.controlSignals = {
-            RegWrite: true,
-            ALUSrc: false,
-            MemWrite: false,
-            MemRead: false,
-            MemToReg: false,
-            Branch: false,
-            ALUOp: '10'
-        };
-        
-        // Actualizar valores internos
-        processor.internals.readData1 = val1;
-        processor.internals.readData2 = val2;
-        processor.internals.aluResult = aluResult;
-    }
-    
-    // ========== TIPO I (Operaciones con inmediatos) ==========
-    else if (isIType) {
-        const rd = regs[0];   // Registro destino
-        const rs1 = regs[1];  // Registro fuente
-        const imm = regs[2];  // Valor inmediato
-        const val1 = processor.registers[rs1];
-        
-        // Ejecutar operación en la ALU
-        aluResult = executeALU(mnemonic, val1, imm, funct3, funct7);
-        
-        // Escribir resultado
-        if (rd !== 0) {
-            processor.registers[rd] = aluResult;
-        }
-        
-        logMessage = `${mnemonic.toUpperCase()} x${rd}, x${rs1}, ${imm} → x${rd} = ${aluResult}`;
-        
-        // Configurar señales de control
-        processor.controlSignals = {
-            RegWrite: true,
-            ALUSrc: true,
-            MemWrite: false,
-            MemRead: false,
-            MemToReg: false,
-            Branch: false,
-            ALUOp: '10'
-        };
-        
-        // Actualizar valores internos
-        processor.internals.readData1 = val1;
-        processor.internals.readData2 = imm;
-        processor.internals.imm = imm;
-        processor.internals.aluResult = aluResult;
-    }
-    
-    // ========== TIPO L (Load - Carga desde memoria) ==========
-    else if (isLoad) {
-        const rd = regs[0];        // Registro destino
-        const rs1 = regs[1];       // Registro base
-        const offset = regs[2] || 0; // Desplazamiento
-        
-        // Calcular dirección de memoria
-        const addr = processor.registers[rs1] + offset;
-        const memIndex = Math.floor(addr / 4) % 256;
-        const memValue = processor.memory[memIndex];
-        
-        // Cargar valor en el registro
-        if (rd !== 0) {
-            processor.registers[rd] = memValue;
-        }
+    control.silent = batchSize > 1;
+    for (let i = 0; i < batchSize && processor.isRunning; i++) {
+        const entry = fetchInstruction(processor.pc);
         
-        logMessage = `${mnemonic.toUpperCase()} x${rd}, ${offset}(x${rs1}) → x${rd} = MEM[${addr}] = ${memValue}`;
+        // La instrucción con la que se reanuda tras detenerse en su punto de ruptura no
+        // vuelve a detener la ejecución; si se empieza en otro estado, sí
+        const stop = control.breakpointStop;
+        const resuming = control.executed === 0 && stop !== null &&
+            stop.pc === processor.pc && stop.position === processor.historyPosition;
         
-        // Configurar señales de control
-        processor.controlSignals = {
-            RegWrite: true,
-            ALUSrc: true,
-            MemWrite: false,
-            MemRead: true,
-            MemToReg: true,
-            Branch: false,
-            ALUOp: '00'
-        };
-        
-        // Actualizar valores internos
-        processor.internals.readData1 = processor.registers[rs1];
-        processor.internals.imm = offset;
-        processor.internals.aluResult = addr;
-        processor.internals.memData = memValue;
-    }
-    
-    // ========== TIPO S (Store - Almacenamiento en memoria) ==========
-    else if (isStore) {
-        const rs2 = regs[0];       // Registro fuente (datos a guardar)
-        const rs1 = regs[1];       // Registro base
-        const offset = regs[2] || 0; // Desplazamiento
-        
-        // Calcular dirección de memoria
-        const addr = processor.registers[rs1] + offset;
-        const memIndex = Math.floor(addr / 4) % 256;
-        
-        // Guardar valor en memoria
-        processor.memory[memIndex] = processor.registers[rs2];
-        
-        logMessage = `${mnemonic.toUpperCase()} x${rs2}, ${offset}(x${rs1}) → MEM[${addr}] = ${processor.registers[rs2]}`;
-        
-        // Configurar señales de control
-        processor.controlSignals = {
-            RegWrite: false,
-            ALUSrc: true,
-            MemWrite: true,
-            MemRead: false,
-            MemToReg: false,
-            Branch: false,
-            ALUOp: '00'
-        };
-        
-        // Actualizar valores internos
-        processor.internals.readData1 = processor.registers[rs1];
-        processor.internals.readData2 = processor.registers[rs2];
-        processor.internals.imm = offset;
-        processor.internals.aluResult = addr;
-    }
-    
-    // ========== TIPO B (Branch - Saltos condicionales) ==========
-    else if (isBranch) {
-        const rs1 = regs[0];       // Primer registro a comparar
-        const rs2 = regs[1];       // Segundo registro a comparar
-        const offset = regs[2] || 1; // Desplazamiento del salto
-        
-        const val1 = processor.registers[rs1];
-        const val2 = processor.registers[rs2];
-        
-        let takeBranch = false;
-        
-        // Evaluar condición de salto
-        switch (funct3) {
-            case 0b000: // BEQ (branch if equal)
-                takeBranch = val1 === val2;
-                break;
-            case 0b001: // BNE (branch if not equal)
-                takeBranch = val1 !== val2;
-                break;
-            case 0b100: // BLT (branch if less than)
-                takeBranch = val1 < val2;
-                break;
-            case 0b101: // BGE (branch if greater or equal)
-                takeBranch = val1 >= val2;
-                break;
-            case 0b110: // BLTU (branch if less than unsigned)
-                takeBranch = (val1 >>> 0) < (val2 >>> 0);
-                break;
-            case 0b111: // BGEU (branch if greater or equal unsigned)
-                takeBranch = (val1 >>> 0) >= (val2 >>> 0);
-                break;
-        }
-        
-        // Actualizar PC si se toma el salto
-        if (takeBranch) {
-            newPC = processor.pc + offset;
-            logMessage = `${mnemonic.toUpperCase()} x${rs1}, x${rs2}, ${offset} → SALTO TOMADO (PC = ${newPC})`;
+        if (!hasPendingInstructions()) {
+            processor.isRunning = false;
+        } else if (control.executed >= control.maxInstructions) {
+            processor.isRunning = false;
+            addToLog(`⏹ Límite de ${control.maxInstructions} instrucciones alcanzado, ejecución detenida ` +
+                '(pulsa Ejecutar para continuar)');
+        } else if (!resuming && entry && isBreakpointHit(entry)) {
+            processor.isRunning = false;
+            control.breakpointStop = { pc: processor.pc, position: processor.historyPosition };
+            addToLog(`[${formatHex(processor.pc)}] 🔴 Punto de ruptura en la línea ${entry.line + 1}` +
+                (processor.breakpoints[entry.line].condition ? ` (${processor.breakpoints[entry.line].text})` : ''));
         } else {
-            logMessage = `${mnemonic.toUpperCase()} x${rs1}, x${rs2}, ${offset} → SALTO NO TOMADO`;
+            executeInstruction();
+            control.executed++;
         }
-        
-        // Configurar señales de control
-        processor.controlSignals = {
-            RegWrite: false,
-            ALUSrc: false,
-            MemWrite: false,
-            MemRead: false,
-            MemToReg: false,
-            Branch: true,
-            ALUOp: '01'
-        };
-        
-        // Actualizar valores internos
-        processor.internals.readData1 = val1;
-        processor.internals.readData2 = val2;
-        processor.internals.imm = offset;
     }
+    control.silent = false;
     
-    // Actualizar PC
-    processor.pc = newPC;
+    control.timer = processor.isRunning ? setTimeout(runStep, control.delay) : null;
+    uiState.resumeRunOnInput = processor.environment.waitingInput;
     
-    // Agregar al log
-    addToLog(`[${processor.pc - 1}] ${logMessage}`);
-    
-    // Actualizar interfaz
     updateUI();
 }
 
-// ============================================
-// FUNCIONES DE CONTROL
-// ============================================
+/**
+ * Pausar la ejecución automática (se reanuda con Ejecutar)
+ */
+function pauseProgram() {
+    stopRun();
+    addToLog(`[${formatHex(processor.pc)}] ⏸ Ejecución en pausa`);
+    updateUI();
+}
 
 /**
- * Ejecutar un paso (una instrucción)
+ * Cancelar el temporizador de la ejecución automática
  */
-function stepExecution() {
-    if (processor.pc < processor.instructions.length) {
-        executeInstruction();
-    }
+function stopRun() {
+    clearTimeout(processor.runControl.timer);
+    processor.runControl.timer = null;
+    processor.runControl.silent = false;
+    processor.isRunning = false;
 }
 
 /**
- * Ejecutar todo el programa automáticamente
+ * Cambiar la velocidad de la ejecución automática
+ * @param {number} level - Índice en RUN_SPEEDS
  */
-function runProgram() {
-    processor.isRunning = true;
-    
-    const runInterval = setInterval(() => {
-        if (processor.pc < processor.instructions.length && processor.isRunning) {
-            executeInstruction();
-        } else {
-            processor.isRunning = false;
-            clearInterval(runInterval);
-            updateUI();
-        }
-    }, 500); // Ejecutar cada 500ms
+function setRunSpeed(level) {
+    processor.runControl.delay = RUN_SPEEDS[level];
+    updateRunControls();
 }
 
 /**
- * Reiniciar el procesador
+ * Detener la ejecución automática, aplicar un cambio que reinicia el procesador
+ * y refrescar la interfaz
+ * @param {Function} change - Cambio a aplicar (ej: resetProcessor o setMemorySize)
  */
-function resetProcessor() {
-    processor.registers = Array(32).fill(0);
-    processor.memory = Array(256).fill(0);
-    processor.pc = 0;
-    processor.executionLog = [];
-    processor.isRunning = false;
-    processor.controlSignals = {
-        RegWrite: false,
-        ALUSrc: false,
-        MemWrite: false,
-        MemRead: false,
-        MemToReg: false,
-        Branch: false,
-        ALUOp: '00'
-    };
-    processor.internals = {
-        instruction: '',
-        opcode: 0,
-        rd: 0,
-        rs1: 0,
-        rs2: 0,
-        funct3: 0,
-        funct7: 0,
-        imm: 0,
-        aluResult: 0,
-        readData1: 0,
-        readData2: 0,
-        memData: 0
-    };
-    
+function restartProcessor(change) {
+    stopRun();
+    change();
     updateUI();
 }
 
 /**
  * Agregar una instrucción al programa
+ * La línea se rechaza si tiene errores; solo se admiten etiquetas aún no
+ * definidas, porque pueden declararse en líneas posteriores
  * @param {string} instruction - Instrucción a agregar
+ * @returns {boolean} - true si la instrucción se agregó
  */
 function addInstruction(instruction) {
-    if (instruction.trim()) {
-        processor.instructions.push(instruction.trim());
-        updateInstructionList();
+    if (!instruction.trim()) {
+        return false;
     }
+    
+    processor.instructions.push(instruction.trim());
+    assembleProgram();
+    
+    const line = processor.instructions.length - 1;
+    const errors = processor.assemblyErrors.filter(e => e.line === line && e.code !== 'undefined-label');
+    
+    if (errors.length > 0) {
+        processor.instructions.pop();
+        assembleProgram();
+        setAssemblyStatus(`⛔ ${errors[0].message} (columna ${errors[0].column})`);
+        return false;
+    }
+    
+    // Si aún no se ha ejecutado nada, los datos nuevos se cargan en la memoria
+    if (processor.executionLog.length === 0) {
+        loadDataSegment();
+    }
+    
+    setAssemblyStatus('');
+    onProgramChanged();
+    updateUI();
+    return true;
 }
 
 /**
@@ -548,68 +287,608 @@ function addInstruction(instruction) {
  */
 function deleteInstruction(index) {
     processor.instructions.splice(index, 1);
+    assembleProgram();
+    
+    // Los puntos de ruptura de las líneas siguientes suben una posición
+    const breakpoints = {};
+    Object.entries(processor.breakpoints).forEach(([line, breakpoint]) => {
+        if (line < index) {
+            breakpoints[line] = breakpoint;
+        } else if (line > index) {
+            breakpoints[line - 1] = breakpoint;
+        }
+    });
+    processor.breakpoints = breakpoints;
+    
+    // Ajustar PC si es necesario
+    if (!fetchInstruction(processor.pc)) {
+        processor.pc = processor.config.textBase;
+    }
+    if (processor.executionLog.length === 0) {
+        loadDataSegment();
+    }
+    
+    onProgramChanged();
+    updateUI();
+}
+
+// ============================================
+// EDITOR, FICHEROS Y PROGRAMAS GUARDADOS
+// ============================================
+
+/**
+ * Claves de localStorage del programa autoguardado y de los programas con nombre
+ */
+const STORAGE_KEYS = {
+    autosave: 'riscv-simulador.autoguardado',
+    programs: 'riscv-simulador.programas'
+};
+
+/**
+ * Obtener el código fuente del programa cargado
+ * @returns {string} - Una línea por instrucción o directiva
+ */
+function getProgramSource() {
+    return processor.instructions.join('\n');
+}
+
+/**
+ * Cargar un programa completo en el simulador (desde el editor, un fichero o un ejemplo)
+ * Se carga aunque tenga errores, para poder corregirlos en el editor
+ * @param {string} source - Código fuente
+ */
+function setProgramSource(source) {
+    stopRun();
+    const errors = loadProgram(source);
+    
+    setAssemblyStatus(errors.length > 0
+        ? `⛔ El programa tiene ${errors.length} error(es). ${formatAssemblyError(errors[0])}`
+        : '');
+    onProgramChanged();
+    updateUI();
+}
+
+/**
+ * Sincronizar el editor y el autoguardado tras cambiar el programa
+ */
+function onProgramChanged() {
+    document.getElementById('sourceEditor').value = getProgramSource();
+    autosaveProgram(getProgramSource());
+}
+
+/**
+ * Guardar el texto del editor en localStorage
+ * Si el navegador no permite usar el almacenamiento, el programa simplemente no se guarda
+ * @param {string} source - Código fuente
+ */
+function autosaveProgram(source) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.autosave, source);
+    } catch (error) {
+        // Almacenamiento lleno o desactivado
+    }
+}
+
+/**
+ * Recuperar el programa autoguardado en la última visita
+ * @returns {string|null} - Código fuente o null si no hay ninguno
+ */
+function getAutosavedProgram() {
+    try {
+        return localStorage.getItem(STORAGE_KEYS.autosave);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Leer los programas guardados con nombre
+ * @returns {Object} - nombre → código fuente
+ */
+function getSavedPrograms() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.programs)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Guardar el programa del editor con un nombre (pide el nombre al usuario)
+ */
+function saveProgramSlot() {
+    const current = document.getElementById('slotSelect').value;
+    const name = prompt('Nombre del programa:', current || 'programa');
+    
+    if (name === null || !name.trim()) {
+        return;
+    }
+    
+    const programs = getSavedPrograms();
+    programs[name.trim()] = document.getElementById('sourceEditor').value;
+    
+    try {
+        localStorage.setItem(STORAGE_KEYS.programs, JSON.stringify(programs));
+        setAssemblyStatus('');
+    } catch (error) {
+        setAssemblyStatus(`⛔ No se pudo guardar el programa en el navegador: ${error.message}`);
+        return;
+    }
+    updateProgramSlots(name.trim());
+}
+
+/**
+ * Cargar un programa guardado con nombre
+ * @param {string} name - Nombre del programa
+ */
+function loadProgramSlot(name) {
+    const programs = getSavedPrograms();
+    
+    if (Object.hasOwn(programs, name)) {
+        setProgramSource(programs[name]);
+    }
+}
+
+/**
+ * Borrar el programa guardado seleccionado (pide confirmación)
+ */
+function deleteProgramSlot() {
+    const name = document.getElementById('slotSelect').value;
+    
+    if (!name || !confirm(`¿Borrar el programa guardado "${name}"?`)) {
+        return;
+    }
+    
+    const programs = getSavedPrograms();
+    delete programs[name];
+    try {
+        localStorage.setItem(STORAGE_KEYS.programs, JSON.stringify(programs));
+    } catch (error) {
+        // Almacenamiento desactivado: no había nada que borrar
+    }
+    updateProgramSlots('');
+}
+
+/**
+ * Leer un fichero .s elegido por el usuario y cargarlo
+ * @param {File} file - Fichero seleccionado
+ */
+function openProgramFile(file) {
+    const reader = new FileReader();
+    
+    reader.onload = () => {
+        setProgramSource(reader.result);
+        document.getElementById('slotSelect').value = '';
+    };
+    reader.onerror = () => {
+        setAssemblyStatus(`⛔ No se pudo leer el fichero ${file.name}`);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Descargar el texto del editor como fichero .s
+ */
+function downloadProgram() {
+    const name = document.getElementById('slotSelect').value || 'programa';
+    const blob = new Blob([document.getElementById('sourceEditor').value + '\n'], { type: 'text/plain' });
+    const link = document.createElement('a');
+    
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name}.s`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Cargar uno de los programas de ejemplo
+ * @param {number} index - Índice en EXAMPLE_PROGRAMS
+ */
+function loadExampleProgram(index) {
+    setProgramSource(EXAMPLE_PROGRAMS[index].source);
+    document.getElementById('slotSelect').value = '';
+}
+
+/**
+ * Rellenar el menú de ejemplos
+ */
+function updateExampleMenu() {
+    const select = document.getElementById('exampleSelect');
+    
+    EXAMPLE_PROGRAMS.forEach((example, index) => {
+        select.add(new Option(example.name, index));
+    });
+}
+
+/**
+ * Rellenar el menú de programas guardados
+ * @param {string} selected - Nombre del programa que queda seleccionado
+ */
+function updateProgramSlots(selected) {
+    const select = document.getElementById('slotSelect');
+    
+    select.length = 1; // Conservar la opción "Programas guardados…"
+    Object.keys(getSavedPrograms()).sort().forEach(name => {
+        select.add(new Option(name, name));
+    });
+    select.value = selected;
+}
+
+// ============================================
+// CONSOLA (ENTRADA Y SALIDA DE LAS LLAMADAS AL SISTEMA)
+// ============================================
+
+/**
+ * Enviar una línea de la consola al programa
+ * Si read_int estaba esperando, la ejecución continúa como se detuvo:
+ * automática o paso a paso
+ * @param {string} line - Texto escrito por el usuario
+ */
+function submitConsoleInput(line) {
+    const environment = processor.environment;
+    if (line.trim() === '') {
+        return;
+    }
+    environment.input.push(line.trim());
+    
+    if (!environment.waitingInput) {
+        updateConsole();
+    } else if (uiState.resumeRunOnInput) {
+        runProgram();
+    } else {
+        stepExecution();
+    }
+}
+
+// ============================================
+// DISPOSITIVOS DE E/S
+// ============================================
+
+/**
+ * Número de LEDs e interruptores (bits bajos de sus registros)
+ */
+const DEVICE_BITS = 16;
+
+/**
+ * Teclas especiales que se envían al teclado con su código ASCII
+ */
+const SPECIAL_KEY_CODES = { Enter: 10, Backspace: 8, Tab: 9, Escape: 27 };
+
+/**
+ * Cambiar un interruptor de posición
+ * @param {number} bit - Número del interruptor
+ */
+function toggleSwitch(bit) {
+    const value = readMemory(getDeviceAddress('switches'), 4, false);
+    setSwitches(value ^ (1 << bit));
+    updateDevices();
+}
+
+/**
+ * Enviar al teclado del simulador la tecla pulsada en su panel
+ * @param {KeyboardEvent} event - Pulsación
+ */
+function handleDeviceKey(event) {
+    const code = event.key.length === 1 ? event.key.charCodeAt(0) : SPECIAL_KEY_CODES[event.key];
+    
+    if (code === undefined || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+    }
+    event.preventDefault();
+    pressKey(code);
+    updateDevices();
+}
+
+// ============================================
+// CACHÉ DE DATOS
+// ============================================
+
+/**
+ * Aplicar la configuración de la caché elegida en el panel (reinicia el procesador)
+ * Si la combinación no es válida se mantiene la anterior y se muestra el motivo
+ */
+function changeCacheConfig() {
+    restartProcessor(() => {
+        try {
+            setCacheConfig({
+                enabled: document.getElementById('cacheEnabledCheckbox').checked,
+                size: parseInt(document.getElementById('cacheSizeSelect').value),
+                blockSize: parseInt(document.getElementById('cacheBlockSelect').value),
+                associativity: parseInt(document.getElementById('cacheWaysSelect').value),
+                replacement: document.getElementById('cacheReplacementSelect').value,
+                writePolicy: document.getElementById('cacheWriteSelect').value
+            });
+            uiState.cacheError = null;
+        } catch (error) {
+            if (!(error instanceof RangeError)) {
+                throw error;
+            }
+            uiState.cacheError = error.message;
+        }
+    });
+}
+
+/**
+ * Aplicar la configuración del predictor de saltos elegida en el panel (reinicia el procesador)
+ */
+function changePredictorConfig() {
+    restartProcessor(() => setPredictorConfig({
+        enabled: document.getElementById('predictorEnabledCheckbox').checked,
+        type: document.getElementById('predictorTypeSelect').value,
+        tableSize: parseInt(document.getElementById('predictorSizeSelect').value)
+    }));
+}
+
+// ============================================
+// FUNCIONES DE ACTUALIZACIÓN DE UI
+// ============================================
+
+/**
+ * Actualizar toda la interfaz
+ */
+function updateUI() {
+    if (processor.runControl.silent) {
+        return;
+    }
+    
+    updateRegisterBank();
+    updateCSRPanel();
+    updateMemoryBank();
+    updateCachePanel();
+    updatePredictorPanel();
+    updateStatsPanel();
+    updateControlSignals();
+    updateALU();
+    updatePCInfo();
+    updateInstructionList();
+    updateSymbolTable();
+    updateExecutionLog();
+    updateConsole();
+    updateDevices();
+    updateRunControls();
+    updateHistoryControls();
+    updateDatapath();
+    updatePipelineView();
+}
+
+/**
+ * Actualizar la lista de instrucciones
+ */
+function updateInstructionList() {
+    const listContainer = document.getElementById('instructionList');
+    listContainer.innerHTML = '';
+    
+    // Mapa de calor: la intensidad de cada línea es relativa a la más ejecutada
+    const maxExecutions = Math.max(0, ...Object.values(processor.executionCounts));
+    
+    processor.instructions.forEach((text, index) => {
+        // Las líneas con solo etiquetas no tienen instrucción asociada;
+        // las pseudoinstrucciones pueden tener varias
+        const entries = processor.program.filter(e => e.line === index);
+        const data = processor.data.find(e => e.line === index);
+        const errors = processor.assemblyErrors.filter(e => e.line === index);
+        const isPseudo = entries.length > 0 && entries[0].pseudo !== null;
+        
+        const breakpoint = processor.breakpoints[index];
+        
+        // En modo pipeline, etapas en las que está cada instrucción de la línea
+        const lastCycle = processor.pipeline.cycles[processor.pipeline.cycles.length - 1];
+        const stageBadges = processor.config.mode === 'pipeline' && lastCycle
+            ? PIPELINE_STAGES
+                .filter(name => lastCycle.stages[name] && entries.some(e => e.address === lastCycle.stages[name].address))
+                .map(name => `<span class="stage-badge stage-${name.toLowerCase()}">${name}</span>`)
+                .join('')
+            : '';
+        
+        // En las pseudoinstrucciones cuenta la instrucción real más ejecutada
+        const executions = Math.max(0, ...entries.map(e => processor.executionCounts[e.address] || 0));
+        
+        const item = document.createElement('div');
+        item.className = 'instruction-item' +
+            (entries.some(e => e.address === processor.pc) ? ' active' : '') +
+            (entries.length > 0 || data ? '' : ' label-only') +
+            (data ? ' data' : '') +
+            (errors.length > 0 ? ' error' : '');
+        if (executions > 0 && !item.classList.contains('active')) {
+            item.style.backgroundColor = `rgba(237, 137, 54, ${(0.1 + 0.5 * executions / maxExecutions).toFixed(2)})`;
+        }
+        
+        // Código máquina en hexadecimal y en binario separado por campos;
+        // en las pseudoinstrucciones, una fila por instrucción real de la expansión
+        let machineCode = '';
+        if (errors.length > 0) {
+            machineCode = `<div class="instruction-machine">${errors
+                .map(e => `<span class="instruction-error">${escapeHTML(formatAssemblyError(e))}</span>`)
+                .join('')}</div>`;
+        } else if (data) {
+            // Bytes que la directiva carga en la memoria de datos
+            const bytes = data.bytes.slice(0, 16).map(b => b.toString(16).padStart(2, '0')).join(' ');
+            machineCode = `<div class="instruction-machine">
+                <span class="instruction-bin">${bytes}${data.bytes.length > 16 ? ` … (${data.bytes.length} bytes)` : ''}</span>
+            </div>`;
+        } else {
+            machineCode = entries.map(entry => `
+                <div class="instruction-machine${isPseudo && entry.address === processor.pc ? ' active' : ''}">
+                    ${isPseudo ? `<span class="instruction-expansion">${formatHex(entry.address)}: ${escapeHTML(entry.source)}</span>` : ''}
+                    <span class="instruction-hex">${formatHex(entry.word)}</span>
+                    <span class="instruction-bin">${formatBinaryFields(entry.word)}</span>
+                </div>
+            `).join('');
+        }
+        
+        // Solo las líneas con instrucciones admiten puntos de ruptura
+        const breakpointToggle = entries.length > 0
+            ? `<span class="breakpoint${breakpoint ? ' active' : ''}${breakpoint && breakpoint.condition ? ' conditional' : ''}"
+                   onclick="toggleBreakpoint(${index})"
+                   oncontextmenu="editBreakpointCondition(${index}); return false;"
+                   title="Clic: punto de ruptura · Clic derecho: condición">●</span>`
+            : '<span class="breakpoint-placeholder"></span>';
+        
+        item.innerHTML = `
+            ${breakpointToggle}
+            <span class="instruction-index">${entries.length > 0 ? formatHex(entries[0].address) + ':' : data ? formatHex(data.address) + ':' : ''}</span>
+            <span class="instruction-text">${escapeHTML(text)}</span>
+            ${stageBadges}
+            ${executions > 0 ? `<span class="execution-count" title="Veces ejecutada">×${executions}</span>` : ''}
+            ${breakpoint && breakpoint.condition ? `<span class="breakpoint-condition">si ${escapeHTML(breakpoint.text)}</span>` : ''}
+            <button class="delete-btn" onclick="deleteInstruction(${index})">🗑️</button>
+            ${machineCode}
+        `;
+        
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Mostrar un mensaje de estado del ensamblador bajo la lista de instrucciones
+ * @param {string} message - Mensaje a mostrar (vacío para ocultarlo)
+ */
+function setAssemblyStatus(message) {
+    const status = document.getElementById('assemblyStatus');
+    status.textContent = message;
+    status.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Escapar un texto del programa para insertarlo en el HTML
+ * @param {string} text - Texto a escapar
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Actualizar la tabla de símbolos
+ */
+function updateSymbolTable() {
+    const container = document.getElementById('symbolTable');
+    const entries = Object.entries(processor.symbols);
     
-    // Ajustar PC si es necesario
-    if (processor.pc >= processor.instructions.length) {
-        processor.pc = 0;
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="symbol-empty">No hay etiquetas definidas</div>';
+        return;
     }
     
-    updateInstructionList();
-    updateUI();
+    container.innerHTML = entries
+        .map(([label, address]) => `
+            <div class="symbol-row">
+                <span class="symbol-name">${label}</span>
+                <span class="symbol-segment">${Object.hasOwn(processor.dataSymbols, label) ? '.data' : '.text'}</span>
+                <span class="symbol-address">${formatHex(address)}</span>
+            </div>
+        `)
+        .join('');
 }
 
 /**
- * Agregar mensaje al log de ejecución
- * @param {string} message - Mensaje a agregar
+ * Formatear una palabra de 32 bits en el formato de visualización elegido
+ * En ASCII los bytes se muestran en orden de memoria (el menos significativo primero)
+ * @param {number} value - Palabra de 32 bits
+ * @param {string} format - 'signed', 'unsigned', 'hex', 'binary' o 'ascii'
+ * @returns {string}
  */
-function addToLog(message) {
-    processor.executionLog.push(message);
-    updateExecutionLog();
+function formatValue(value, format) {
+    switch (format) {
+        case 'unsigned':
+            return String(value >>> 0);
+        case 'hex':
+            return formatHex(value);
+        case 'binary':
+            return (value >>> 0).toString(2).padStart(32, '0').match(/.{8}/g).join(' ');
+        case 'ascii':
+            return [0, 8, 16, 24]
+                .map(shift => (value >>> shift) & 0xFF)
+                .map(byte => byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '·')
+                .join('');
+        default:
+            return String(value | 0);
+    }
 }
 
-// ============================================
-// FUNCIONES DE ACTUALIZACIÓN DE UI
-// ============================================
-
 /**
- * Actualizar toda la interfaz
+ * Obtener los registros, palabras de memoria y CSR que modificó la última instrucción
+ * @returns {Object} - { registers, memory, csr } con índices, direcciones de palabra y nombres
  */
-function updateUI() {
-    updateRegisterBank();
-    updateMemoryBank();
-    updateControlSignals();
-    updateALU();
-    updatePCInfo();
-    updateInstructionList();
+function getLastChanges() {
+    const record = processor.history[processor.historyPosition - 1];
+    
+    return {
+        registers: new Set(record ? record.registers.map(([index]) => index) : []),
+        memory: new Set(record ? record.memory.map(([address]) => address & ~3) : []),
+        csr: new Set(record
+            ? Object.keys(record.after.csr).filter(name => record.before.csr[name] !== record.after.csr[name])
+            : [])
+    };
 }
 
 /**
- * Actualizar la lista de instrucciones
+ * Sustituir el valor de una celda por un campo para editarlo
+ * Enter o salir del campo guarda el valor; Escape lo descarta
+ * @param {HTMLElement} element - Celda con el valor
+ * @param {number} value - Valor actual
+ * @param {Function} commit - Recibe el nuevo valor de 32 bits
  */
-function updateInstructionList() {
-    const listContainer = document.getElementById('instructionList');
-    listContainer.innerHTML = '';
+function startCellEdit(element, value, commit) {
+    // No se edita mientras el programa se ejecuta solo
+    if (processor.runControl.timer !== null || element.querySelector('input')) {
+        return;
+    }
     
-    processor.instructions.forEach((instr, index) => {
-        const item = document.createElement('div');
-        item.className = 'instruction-item' + (index === processor.pc ? ' active' : '');
-        
-        item.innerHTML = `
-            <span class="instruction-index">${index}:</span>
-            <span class="instruction-text">${instr}</span>
-            <button class="delete-btn" onclick="deleteInstruction(${index})">🗑️</button>
-        `;
-        
-        listContainer.appendChild(item);
+    const input = document.createElement('input');
+    input.className = 'cell-input';
+    input.value = ['signed', 'unsigned', 'hex'].includes(uiState.displayFormat)
+        ? formatValue(value, uiState.displayFormat)
+        : formatHex(value);
+    
+    let finished = false;
+    const finish = (save, keepOnError) => {
+        if (finished) {
+            return;
+        }
+        if (save) {
+            try {
+                const newValue = parseValue(input.value);
+                if (newValue !== (value | 0)) {
+                    commit(newValue);
+                }
+            } catch (error) {
+                if (keepOnError) {
+                    input.classList.add('invalid');
+                    input.title = error.message;
+                    return;
+                }
+            }
+        }
+        finished = true;
+        updateUI();
+    };
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true, true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
     });
+    input.addEventListener('blur', () => finish(true, false));
+    
+    element.replaceChildren(input);
+    input.focus();
+    input.select();
 }
 
 /**
  * Actualizar el banco de registros
+ * Cada registro muestra su nombre ABI, se edita con un clic y se resalta si
+ * la última instrucción lo modificó
  */
 function updateRegisterBank() {
     const container = document.getElementById('registerBank');
     container.innerHTML = '';
+    container.classList.toggle('format-binary', uiState.displayFormat === 'binary');
+    
+    const changes = getLastChanges();
     
     processor.registers.forEach((value, index) => {
         const regDiv = document.createElement('div');
@@ -623,33 +902,78 @@ function updateRegisterBank() {
         } else {
             className += 'inactive';
         }
+        if (changes.registers.has(index)) {
+            className += ' changed';
+        }
+        
+        // x0 está cableado a cero y no se puede editar
+        const editable = index !== 0;
         
         regDiv.className = className;
         regDiv.innerHTML = `
-            <div class="register-name">x${index}</div>
-            <div class="register-value">${value}</div>
+            <div class="register-name">x${index} <span class="register-abi">${ABI_REGISTER_NAMES[index]}</span></div>
+            <div class="register-value${editable ? ' editable' : ''}"
+                ${editable ? `onclick="startCellEdit(this, ${value}, value => editRegister(${index}, value))" title="Clic para editar"` : ''}>${escapeHTML(formatValue(value, uiState.displayFormat))}</div>
         `;
         
         container.appendChild(regDiv);
     });
 }
 
+/**
+ * Actualizar el panel de CSR: valores en hexadecimal, bits de mstatus y causa
+ * de la última excepción
+ */
+function updateCSRPanel() {
+    const csr = processor.csr;
+    const changes = getLastChanges();
+    
+    document.getElementById('csrBank').innerHTML = Object.keys(CSR_NUMBERS).map(name => `
+        <div class="register ${csr[name] !== 0 ? 'active' : 'inactive'}${changes.csr.has(name) ? ' changed' : ''}">
+            <div class="register-name">${name} <span class="register-abi">0x${CSR_NUMBERS[name].toString(16)}</span></div>
+            <div class="register-value">${formatHex(csr[name])}</div>
+        </div>
+    `).join('');
+    
+    const bit = (mask) => csr.mstatus & mask ? 1 : 0;
+    const cause = EXCEPTION_CAUSES[csr.mcause];
+    document.getElementById('csrStatus').textContent =
+        `mstatus: MIE = ${bit(MSTATUS_MIE)}, MPIE = ${bit(MSTATUS_MPIE)}, MPP = ${(csr.mstatus & MSTATUS_MPP) >>> 11} · ` +
+        `mcause: ${cause ? `${csr.mcause} (${cause})` : csr.mcause} · ` +
+        (csr.mtvec === 0 ? 'sin manejador (mtvec = 0): las excepciones detienen la ejecución' : `manejador en ${formatHex(csr.mtvec)}`);
+}
+
 /**
  * Actualizar el banco de memoria
+ * Las palabras se editan con un clic y se resaltan si la última instrucción las modificó
  */
 function updateMemoryBank() {
     const container = document.getElementById('memoryBank');
     container.innerHTML = '';
+    container.classList.toggle('format-binary', uiState.displayFormat === 'binary');
+    
+    const changes = getLastChanges();
+    const ranges = getDataSymbolRanges();
     
     // Mostrar solo las primeras 32 palabras
-    for (let i = 0; i < 32; i++) {
-        const value = processor.memory[i];
+    const words = Math.min(32, Math.floor(processor.memory.length / 4));
+    for (let i = 0; i < words; i++) {
+        const value = readMemory(i * 4, 4, true);
         const memDiv = document.createElement('div');
         
-        memDiv.className = 'memory-cell ' + (value !== 0 ? 'active' : 'inactive');
+        // Etiquetas de .data a las que pertenece algún byte de esta palabra, con el
+        // desplazamiento si la palabra no es la primera de su dato
+        const symbols = ranges
+            .filter(({ start, end }) => start < i * 4 + 4 && (end > i * 4 || start >= i * 4))
+            .map(({ label, start }) => start >= i * 4 ? label : `${label}+${i * 4 - start}`);
+        
+        memDiv.className = 'memory-cell ' + (value !== 0 ? 'active' : 'inactive') +
+            (changes.memory.has(i * 4) ? ' changed' : '');
         memDiv.innerHTML = `
             <div class="memory-address">[${i * 4}]</div>
-            <div class="memory-value">${value}</div>
+            ${symbols.length > 0 ? `<div class="memory-symbol">${symbols.join(', ')}</div>` : ''}
+            <div class="memory-value editable" onclick="startCellEdit(this, ${value}, value => editMemoryWord(${i * 4}, value))"
+                title="Clic para editar">${escapeHTML(formatValue(value, uiState.displayFormat))}</div>
         `;
         
         container.appendChild(memDiv);
@@ -682,37 +1006,482 @@ function updateALU() {
     document.getElementById('aluOperandA').textContent = processor.internals.readData1;
     document.getElementById('aluOperandB').textContent = processor.internals.readData2 || processor.internals.imm;
     document.getElementById('aluResult').textContent = processor.internals.aluResult;
+    
+    // Indicadores Z (cero), N (negativo) y V (desbordamiento)
+    const flags = processor.internals.aluFlags;
+    document.getElementById('aluFlags').innerHTML = [
+        ['Z', 'Cero', flags.zero],
+        ['N', 'Negativo', flags.negative],
+        ['V', 'Desbordamiento', flags.overflow]
+    ].map(([name, title, value]) => `
+        <span class="alu-flag ${value ? 'active' : 'inactive'}" title="${title}">${name} = ${value ? 1 : 0}</span>
+    `).join('');
 }
 
 /**
  * Actualizar información del PC
  */
 function updatePCInfo() {
-    document.getElementById('pcValue').textContent = processor.pc;
+    document.getElementById('pcValue').textContent = `${formatHex(processor.pc)} (${processor.pc})`;
+    const entry = fetchInstruction(processor.pc);
     document.getElementById('currentInstruction').textContent = 
-        processor.pc < processor.instructions.length 
-            ? processor.instructions[processor.pc] 
+        entry 
+            ? entry.source + (entry.word !== null ? ` (${formatHex(entry.word)})` : '') +
+              (entry.pseudo ? ` ← ${entry.pseudo}` : '')
             : 'N/A';
 }
 
+/**
+ * Número máximo de entradas del log que se muestran en la página
+ */
+const MAX_LOG_ENTRIES_SHOWN = 200;
+
 /**
  * Actualizar el log de ejecución
  */
 function updateExecutionLog() {
+    if (processor.runControl.silent) {
+        return;
+    }
+    
     const logContainer = document.getElementById('executionLog');
     
     if (processor.executionLog.length === 0) {
         logContainer.innerHTML = '<div class="log-empty">No hay ejecuciones todavía...</div>';
     } else {
-        logContainer.innerHTML = processor.executionLog
-            .map(entry => `<div class="log-entry">${entry}</div>`)
-            .join('');
+        // Solo se muestran las últimas entradas para no saturar la página
+        const hidden = Math.max(0, processor.executionLog.length - MAX_LOG_ENTRIES_SHOWN);
+        const logEnd = getHistoryLogEnd();
+        
+        // Cada entrada lleva al estado tras su instrucción; las deshechas se atenúan.
+        // Se escapan porque incluyen texto del programa (código fuente, print_string)
+        logContainer.innerHTML = (hidden > 0 ? `<div class="log-empty">… ${hidden} entradas anteriores</div>` : '') +
+            processor.executionLog
+                .slice(hidden)
+                .map((entry, i) => `<div class="log-entry${hidden + i >= logEnd ? ' undone' : ''}"
+                    onclick="goToLogEntry(${hidden + i})" title="Clic para volver a este punto">${escapeHTML(entry)}</div>`)
+                .join('');
         
         // Scroll al final
         logContainer.scrollTop = logContainer.scrollHeight;
     }
 }
 
+/**
+ * Actualizar la consola: salida del programa y estado de la entrada
+ */
+function updateConsole() {
+    const environment = processor.environment;
+    const output = document.getElementById('consoleOutput');
+    
+    output.textContent = environment.output;
+    output.classList.toggle('empty', environment.output === '');
+    output.scrollTop = output.scrollHeight;
+    
+    const pending = environment.input.length - environment.inputPosition;
+    let status = '';
+    if (environment.exitCode !== null) {
+        status = `Programa terminado con código ${environment.exitCode}`;
+    } else if (environment.waitingInput) {
+        status = '⌨ read_int espera un número: escríbelo y pulsa Enter';
+    } else if (pending > 0) {
+        status = `${pending} línea(s) pendiente(s) de leer`;
+    }
+    
+    const statusElement = document.getElementById('consoleStatus');
+    statusElement.textContent = status;
+    statusElement.classList.toggle('waiting', environment.waitingInput);
+}
+
+/**
+ * Segmentos de un dígito del display en un lienzo de 40x64: [x, y, ancho, alto]
+ * en el orden de sus bits (a, b, c, d, e, f, g y el punto decimal)
+ */
+const SEVEN_SEGMENT_SHAPES = [
+    [8, 2, 20, 5],
+    [29, 7, 5, 22],
+    [29, 35, 5, 22],
+    [8, 57, 20, 5],
+    [2, 35, 5, 22],
+    [2, 7, 5, 22],
+    [8, 29.5, 20, 5],
+    [35, 57, 5, 5]
+];
+
+/**
+ * Actualizar los paneles de los dispositivos de E/S
+ */
+function updateDevices() {
+    const bits = (value) => Array.from({ length: DEVICE_BITS }, (_, i) => DEVICE_BITS - 1 - i)
+        .map(bit => [bit, (value >>> bit) & 1]);
+    
+    // LEDs e interruptores, con el bit 0 a la derecha
+    const leds = readMemory(getDeviceAddress('leds'), 4, false);
+    document.getElementById('ledBar').innerHTML = bits(leds)
+        .map(([bit, on]) => `<span class="led${on ? ' on' : ''}" title="LED ${bit}"></span>`)
+        .join('');
+    
+    const switches = readMemory(getDeviceAddress('switches'), 4, false);
+    document.getElementById('switchBar').innerHTML = bits(switches)
+        .map(([bit, on]) => `
+            <label class="switch" title="Interruptor ${bit}">
+                <input type="checkbox" ${on ? 'checked' : ''} onchange="toggleSwitch(${bit})">
+                <span>${bit}</span>
+            </label>
+        `).join('');
+    
+    // Display de 7 segmentos: el byte 0 es el dígito de la derecha
+    const digits = readMemory(getDeviceAddress('sevenSegment'), 4, false);
+    document.getElementById('sevenSegmentDisplay').innerHTML = [3, 2, 1, 0].map(digit => {
+        const segments = (digits >>> (digit * 8)) & 0xFF;
+        return `<svg class="seven-segment-digit" viewBox="0 0 40 64">${SEVEN_SEGMENT_SHAPES
+            .map(([x, y, width, height], bit) => `<rect class="segment${(segments >>> bit) & 1 ? ' on' : ''}"
+                x="${x}" y="${y}" width="${width}" height="${height}" rx="2" />`)
+            .join('')}</svg>`;
+    }).join('');
+    
+    // Teclado: última tecla y si el programa ya la ha leído
+    const keyboard = getDeviceAddress('keyboard');
+    const ready = readMemory(keyboard, 4, false) & 1;
+    const code = readMemory(keyboard + 4, 4, false);
+    document.getElementById('keyboardStatus').textContent = code === 0
+        ? 'Ninguna tecla pulsada'
+        : `Última tecla: ${code}${code >= 32 && code < 127 ? ` ('${String.fromCharCode(code)}')` : ''}, ` +
+          (ready ? 'sin leer' : 'leída');
+    
+    // Pantalla de mapa de bits: una palabra 0x00RRGGBB por píxel
+    const context = document.getElementById('bitmapCanvas').getContext('2d');
+    const bitmap = getDeviceAddress('bitmap');
+    for (let y = 0; y < BITMAP_SIZE; y++) {
+        for (let x = 0; x < BITMAP_SIZE; x++) {
+            const pixel = readMemory(bitmap + (y * BITMAP_SIZE + x) * 4, 4, false);
+            context.fillStyle = '#' + (pixel & 0xFFFFFF).toString(16).padStart(6, '0');
+            context.fillRect(x, y, 1, 1);
+        }
+    }
+}
+
+/**
+ * Actualizar el panel de la caché: configuración, estadísticas y, por cada
+ * conjunto, el bit de validez, el bit de sucio y la etiqueta de cada vía
+ */
+function updateCachePanel() {
+    const config = processor.config.cache;
+    const cache = processor.cache;
+    
+    // Los controles reflejan la configuración en uso (también tras rechazar una)
+    document.getElementById('cacheEnabledCheckbox').checked = config.enabled;
+    document.getElementById('cacheSizeSelect').value = config.size;
+    document.getElementById('cacheBlockSelect').value = config.blockSize;
+    document.getElementById('cacheWaysSelect').value = config.associativity;
+    document.getElementById('cacheReplacementSelect').value = config.replacement;
+    document.getElementById('cacheWriteSelect').value = config.writePolicy;
+    document.getElementById('cacheMissPenaltyInput').value = config.missPenalty;
+    
+    const statsElement = document.getElementById('cacheStats');
+    const viewElement = document.getElementById('cacheView');
+    statsElement.classList.toggle('error', uiState.cacheError !== null);
+    
+    if (uiState.cacheError !== null) {
+        statsElement.textContent = `⛔ ${uiState.cacheError}`;
+    } else if (!config.enabled) {
+        statsElement.textContent = 'Caché desactivada: las cargas y los almacenamientos van directamente a memoria';
+    } else {
+        const stats = getCacheStats();
+        const writes = config.writePolicy === 'write-back'
+            ? `${stats.writebacks} bloque(s) sucio(s) devueltos a memoria`
+            : `${stats.memoryWrites} escritura(s) en memoria`;
+        statsElement.textContent = `${stats.accesses} accesos (${stats.reads} lecturas, ${stats.writes} escrituras) · ` +
+            `${stats.hits} aciertos · ${stats.misses} fallos · tasa de aciertos ${(stats.hitRate * 100).toFixed(1)} % · ` +
+            `${writes} · AMAT ≈ ${stats.amat.toFixed(2)} ciclos (${config.hitTime} + tasa de fallos × ${config.missPenalty})`;
+    }
+    
+    if (!config.enabled) {
+        viewElement.innerHTML = '';
+        return;
+    }
+    
+    const last = cache.lastAccess;
+    const header = cache.sets[0].map((_, way) => `<th>Vía ${way}: V D etiqueta</th>`).join('');
+    const rows = cache.sets.map((lines, set) => {
+        const cells = lines.map((line, way) => {
+            let className = 'cache-line ' + (line.valid ? 'valid' : 'invalid');
+            if (line.dirty) {
+                className += ' dirty';
+            }
+            if (last && last.set === set && last.way === way) {
+                className += last.hit ? ' hit' : ' miss';
+            }
+            return `<td class="${className}">${line.valid ? 1 : 0} ${line.dirty ? 1 : 0} 0x${line.tag.toString(16)}</td>`;
+        }).join('');
+        return `<tr><th>${set}</th>${cells}</tr>`;
+    }).join('');
+    
+    viewElement.innerHTML = `<table class="cache-table"><tr><th>Conjunto</th>${header}</tr>${rows}</table>`;
+}
+
+/**
+ * Actualizar el panel del predictor de saltos: estadísticas y tabla de
+ * predicción, con la entrada del último salto resaltada
+ */
+function updatePredictorPanel() {
+    const config = processor.config.predictor;
+    const predictor = processor.predictor;
+    
+    document.getElementById('predictorEnabledCheckbox').checked = config.enabled;
+    document.getElementById('predictorTypeSelect').value = config.type;
+    document.getElementById('predictorSizeSelect').value = config.tableSize;
+    document.getElementById('predictorPenaltyInput').value = config.mispredictPenalty;
+    
+    const statsElement = document.getElementById('predictorStats');
+    const viewElement = document.getElementById('predictorView');
+    
+    if (!config.enabled) {
+        statsElement.textContent = 'Predictor desactivado';
+        viewElement.innerHTML = '';
+        return;
+    }
+    
+    const stats = getPredictorStats();
+    const history = config.type === 'gshare'
+        ? ` · historia global: ${predictor.history.toString(2).padStart(Math.log2(config.tableSize), '0')}`
+        : '';
+    statsElement.textContent = `${BRANCH_PREDICTORS[config.type]} · ${stats.branches} saltos · ` +
+        `${stats.correct} aciertos · ${stats.mispredictions} fallos · precisión ${(stats.accuracy * 100).toFixed(1)} % · ` +
+        `penalización: ${stats.penaltyCycles} ciclos (${config.mispredictPenalty} por fallo)${history}`;
+    
+    // Los predictores estáticos no tienen tabla
+    if (!isDynamicPredictor()) {
+        viewElement.innerHTML = '';
+        return;
+    }
+    
+    const last = predictor.lastPrediction;
+    viewElement.innerHTML = predictor.table.map((value, index) => {
+        const taken = config.type === 'one-bit' ? value === 1 : value >= 2;
+        const state = config.type === 'one-bit' ? (taken ? 'T' : 'NT') : PREDICTOR_COUNTER_NAMES[value];
+        let className = 'predictor-entry' + (taken ? ' taken' : '');
+        if (last && last.index === index) {
+            className += last.predicted === last.taken ? ' hit' : ' miss';
+        }
+        return `<div class="${className}">${index}: ${state}</div>`;
+    }).join('');
+}
+
+/**
+ * Actualizar el panel de estadísticas: contadores de la ejecución, CPI,
+ * tiempo total y mezcla dinámica de instrucciones
+ */
+function updateStatsPanel() {
+    const stats = getRunStats();
+    const percent = (count) => stats.instructions > 0 ? count / stats.instructions * 100 : 0;
+    
+    document.getElementById('clockPeriodInput').value = stats.clockPeriod;
+    document.getElementById('runStats').textContent = `${stats.instructions} instrucciones · ${stats.cycles} ciclos · ` +
+        `CPI ${stats.cpi.toFixed(2)} · tiempo ${formatTime(stats.time)} · ` +
+        `saltos: ${stats.branchesTaken} tomados, ${stats.branchesNotTaken} no tomados · ` +
+        `memoria: ${stats.memoryReads} lecturas, ${stats.memoryWrites} escrituras`;
+    
+    document.getElementById('instructionMix').innerHTML = Object.keys(INSTRUCTION_CLASSES).map(type => `
+        <tr>
+            <th>${INSTRUCTION_CLASSES[type]}</th>
+            <td class="stats-count">${stats[type]}</td>
+            <td class="stats-count">${percent(stats[type]).toFixed(1)} %</td>
+            <td><div class="stats-bar" style="width: ${percent(stats[type])}%"></div></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Formatear un tiempo en nanosegundos con la unidad más adecuada
+ * @param {number} ns - Tiempo en nanosegundos
+ * @returns {string}
+ */
+function formatTime(ns) {
+    if (ns >= 1e6) {
+        return `${(ns / 1e6).toFixed(3)} ms`;
+    }
+    if (ns >= 1e3) {
+        return `${(ns / 1e3).toFixed(3)} µs`;
+    }
+    return `${Number(ns.toFixed(3))} ns`;
+}
+
+/**
+ * Descargar las estadísticas de la ejecución como fichero .csv
+ */
+function downloadStats() {
+    const name = document.getElementById('slotSelect').value || 'programa';
+    const blob = new Blob([buildStatsCSV()], { type: 'text/csv' });
+    const link = document.createElement('a');
+    
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name}-estadisticas.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Actualizar los botones y opciones de la ejecución automática
+ */
+function updateRunControls() {
+    const running = processor.runControl.timer !== null;
+    const paused = !running && processor.executionLog.length > 0 && hasPendingInstructions();
+    
+    document.getElementById('runBtn').textContent =
+        running ? '⏸ Pausar' : paused ? '⏯ Continuar' : '⏩ Ejecutar Todo';
+    document.getElementById('stepBtn').disabled = running;
+    
+    const delay = processor.runControl.delay;
+    document.getElementById('speedLabel').textContent = delay === 0 ? 'Máxima' : `${delay} ms`;
+}
+
+/**
+ * Actualizar el botón de retroceso y la línea de tiempo del historial
+ */
+function updateHistoryControls() {
+    if (processor.runControl.silent) {
+        return;
+    }
+    
+    const timeline = document.getElementById('timelineRange');
+    timeline.max = processor.history.length;
+    timeline.value = processor.historyPosition;
+    
+    document.getElementById('timelineLabel').textContent =
+        `Paso ${processor.historyPosition} / ${processor.history.length}`;
+    document.getElementById('stepBackBtn').disabled =
+        processor.historyPosition === 0 || processor.runControl.timer !== null;
+}
+
+/**
+ * Actualizar el diagrama del pipeline y sus contadores de ciclos
+ */
+function updatePipelineView() {
+    const card = document.getElementById('pipelineCard');
+    const isPipeline = processor.config.mode === 'pipeline';
+    
+    card.style.display = isPipeline ? '' : 'none';
+    if (!isPipeline) {
+        return;
+    }
+    
+    const pipeline = processor.pipeline;
+    const cpi = pipeline.retired > 0 ? (pipeline.cycle / pipeline.retired).toFixed(2) : '—';
+    
+    // El mismo programa en el monociclo tarda un ciclo (más largo) por instrucción
+    document.getElementById('pipelineStats').innerHTML = `
+        <span><strong>Ciclos:</strong> ${pipeline.cycle}</span>
+        <span><strong>Instrucciones completadas:</strong> ${pipeline.retired}</span>
+        <span><strong>CPI:</strong> ${cpi}</span>
+        <span><strong>Paradas:</strong> ${pipeline.stalls}</span>
+        <span><strong>Instrucciones vaciadas:</strong> ${pipeline.flushes}</span>
+        <span><strong>Monociclo:</strong> ${pipeline.retired} ciclos (CPI 1)</span>
+    `;
+    
+    const container = document.getElementById('pipelineDiagram');
+    if (pipeline.cycles.length === 0) {
+        container.innerHTML = '<div class="pipeline-empty">Ejecuta un paso para ver el diagrama del pipeline</div>';
+        return;
+    }
+    
+    // Una fila por instrucción y una columna por ciclo
+    const rows = new Map();
+    pipeline.cycles.forEach(({ stages }) => {
+        PIPELINE_STAGES.forEach(name => {
+            if (stages[name] && !rows.has(stages[name].id)) {
+                rows.set(stages[name].id, stages[name].source);
+            }
+        });
+    });
+    
+    const header = pipeline.cycles.map(({ cycle }) => `<th>${cycle}</th>`).join('');
+    const body = [...rows.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([id, source]) => {
+            const cells = pipeline.cycles.map(({ stages, stall, flushed }) => {
+                const stage = PIPELINE_STAGES.find(name => stages[name] && stages[name].id === id);
+                if (!stage) {
+                    return '<td></td>';
+                }
+                const stalled = stall && (stage === 'IF' || stage === 'ID');
+                const className = `stage-${stage.toLowerCase()}` +
+                    (stalled ? ' stalled' : '') +
+                    (flushed.includes(id) ? ' flushed' : '');
+                return `<td class="${className}">${stage}</td>`;
+            }).join('');
+            return `<tr><th class="pipeline-instruction">${escapeHTML(source)}</th>${cells}</tr>`;
+        })
+        .join('');
+    
+    container.innerHTML = `<table class="pipeline-table"><thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Obtener el estado que necesita la ruta de datos para dibujar el ciclo actual
+ * @returns {Object} - Valores de los buses, señales de control y contenido de las memorias
+ */
+function getDatapathState() {
+    const internals = processor.internals;
+    const signals = processor.controlSignals;
+    const decoded = decodeInstruction(internals.instruction);
+    const executed = internals.instruction !== 0;
+    
+    // Dato escrito en rd: de la memoria (loads), PC + 4 (saltos) o de la ALU
+    const writeData = signals.MemToReg
+        ? internals.memData
+        : signals.Jump ? (internals.pc + 4) | 0 : internals.aluResult;
+    
+    // Instrucciones alrededor del PC para la memoria de programa
+    const current = processor.program.findIndex(e => e.address === processor.pc);
+    const first = Math.max(0, Math.min(current - 2, processor.program.length - 8));
+    
+    return {
+        executed,
+        pc: internals.pc,
+        nextPC: internals.nextPC,
+        currentPC: processor.pc,
+        word: internals.instruction,
+        mnemonic: executed ? getMnemonic(decoded) : '',
+        format: executed ? decoded.format : null,
+        rd: internals.rd,
+        rs1: internals.rs1,
+        rs2: internals.rs2,
+        imm: internals.imm,
+        readData1: internals.readData1,
+        readData2: internals.readData2,
+        aluResult: internals.aluResult,
+        aluFlags: { ...internals.aluFlags },
+        memData: internals.memData,
+        writeData,
+        controlSignals: { ...signals },
+        program: processor.program
+            .slice(first, first + 8)
+            .map(({ address, source }) => ({ address, source })),
+        memory: [0, 4, 8, 12]
+            .filter(address => address + 4 <= processor.memory.length)
+            .map(address => ({ address, value: readMemory(address, 4, true) }))
+    };
+}
+
+/**
+ * Origen de los mensajes con la ruta de datos: el de la página; abierta como
+ * fichero (file://) el origen es opaco ('null') y no se puede indicar
+ */
+const DATAPATH_MESSAGE_ORIGIN = window.location.origin !== 'null' ? window.location.origin : '*';
+
+/**
+ * Enviar el estado actual a la ruta de datos (procesador.html) incrustada en la página
+ */
+function updateDatapath() {
+    const frame = document.getElementById('datapathFrame');
+    
+    if (!frame || !frame.contentWindow) {
+        return;
+    }
+    frame.contentWindow.postMessage({ type: 'riscv-state', state: getDatapathState() }, DATAPATH_MESSAGE_ORIGIN);
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -724,25 +1493,219 @@ document.addEventListener('DOMContentLoaded', () => {
     // Botón: Ejecutar todo
     document.getElementById('runBtn').addEventListener('click', runProgram);
     
+    // Botón: Paso atrás
+    document.getElementById('stepBackBtn').addEventListener('click', stepBack);
+    
+    // Control: Línea de tiempo de la ejecución
+    document.getElementById('timelineRange').addEventListener('input', (e) => {
+        navigateHistory(parseInt(e.target.value));
+    });
+    
     // Botón: Reiniciar
-    document.getElementById('resetBtn').addEventListener('click', resetProcessor);
+    document.getElementById('resetBtn').addEventListener('click', () => restartProcessor(resetProcessor));
+    
+    // Control: Velocidad de la ejecución automática
+    document.getElementById('speedRange').addEventListener('input', (e) => {
+        setRunSpeed(parseInt(e.target.value));
+    });
+    
+    // Selector: Modo de ejecución (monociclo o pipeline)
+    document.getElementById('modeSelect').addEventListener('change', (e) => {
+        restartProcessor(() => setExecutionMode(e.target.value));
+    });
+    
+    // Selector: Repertorio de instrucciones (RV32I o RV32IM)
+    document.getElementById('isaSelect').addEventListener('change', (e) => {
+        restartProcessor(() => setISA(e.target.value));
+    });
+    
+    // Panel de la caché: cualquier cambio de la configuración la vacía y reinicia
+    ['cacheEnabledCheckbox', 'cacheSizeSelect', 'cacheBlockSelect', 'cacheWaysSelect',
+        'cacheReplacementSelect', 'cacheWriteSelect'].forEach(id => {
+        document.getElementById(id).addEventListener('change', changeCacheConfig);
+    });
+    
+    // Campo: Penalización por fallo de la caché (solo cambia el AMAT estimado)
+    document.getElementById('cacheMissPenaltyInput').addEventListener('change', (e) => {
+        const penalty = parseInt(e.target.value);
+        
+        if (Number.isInteger(penalty) && penalty > 0) {
+            processor.config.cache.missPenalty = penalty;
+        }
+        updateCachePanel();
+    });
+    
+    // Panel del predictor de saltos: cambiar el predictor lo vacía y reinicia
+    ['predictorEnabledCheckbox', 'predictorTypeSelect', 'predictorSizeSelect'].forEach(id => {
+        document.getElementById(id).addEventListener('change', changePredictorConfig);
+    });
+    
+    // Campo: Penalización por predicción fallida (solo cambia el coste estimado)
+    document.getElementById('predictorPenaltyInput').addEventListener('change', (e) => {
+        const penalty = parseInt(e.target.value);
+        
+        if (Number.isInteger(penalty) && penalty > 0) {
+            processor.config.predictor.mispredictPenalty = penalty;
+        }
+        updatePredictorPanel();
+    });
+    
+    // Campo: Periodo de reloj (solo cambia el tiempo estimado)
+    document.getElementById('clockPeriodInput').addEventListener('change', (e) => {
+        const period = parseFloat(e.target.value);
+        
+        if (period > 0) {
+            processor.config.clockPeriod = period;
+        }
+        updateStatsPanel();
+    });
+    
+    document.getElementById('exportStatsBtn').addEventListener('click', downloadStats);
+    
+    // Casilla: Adelantamiento en el pipeline
+    document.getElementById('forwardingCheckbox').addEventListener('change', (e) => {
+        restartProcessor(() => {
+            processor.config.forwarding = e.target.checked;
+            resetProcessor();
+        });
+    });
+    
+    // Campo: Límite de instrucciones por ejecución
+    document.getElementById('maxInstructionsInput').addEventListener('change', (e) => {
+        const limit = parseInt(e.target.value);
+        
+        if (Number.isInteger(limit) && limit > 0) {
+            processor.runControl.maxInstructions = limit;
+        }
+        e.target.value = processor.runControl.maxInstructions;
+    });
+    
+    // Campo: Dirección base del segmento de código
+    document.getElementById('textBaseInput').addEventListener('change', (e) => {
+        const address = Number(e.target.value);
+        
+        if (Number.isInteger(address) && address >= 0 && address % 4 === 0) {
+            restartProcessor(() => setTextBase(address));
+        }
+        e.target.value = formatHex(processor.config.textBase);
+    });
+    
+    // Selector: Formato de los registros y la memoria
+    document.getElementById('displayFormatSelect').addEventListener('change', (e) => {
+        uiState.displayFormat = e.target.value;
+        updateRegisterBank();
+        updateMemoryBank();
+    });
+    
+    // Selector: Tamaño de la memoria de datos
+    document.getElementById('memorySizeSelect').addEventListener('change', (e) => {
+        restartProcessor(() => setMemorySize(parseInt(e.target.value)));
+    });
     
     // Botón: Agregar instrucción
     document.getElementById('addInstructionBtn').addEventListener('click', () => {
         const input = document.getElementById('newInstructionInput');
-        addInstruction(input.value);
-        input.value = '';
+        if (addInstruction(input.value)) {
+            input.value = '';
+        }
     });
     
     // Enter en el input de instrucciones
     document.getElementById('newInstructionInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             const input = document.getElementById('newInstructionInput');
-            addInstruction(input.value);
-            input.value = '';
+            if (addInstruction(input.value)) {
+                input.value = '';
+            }
         }
     });
     
-    // Inicializar UI
-    updateUI();
+    // Editor: ensamblar y cargar el programa (también con Ctrl+Enter)
+    const sourceEditor = document.getElementById('sourceEditor');
+    document.getElementById('loadSourceBtn').addEventListener('click', () => {
+        setProgramSource(sourceEditor.value);
+    });
+    sourceEditor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            setProgramSource(sourceEditor.value);
+        }
+    });
+    
+    // Editor: guardar también los cambios que aún no se han cargado
+    sourceEditor.addEventListener('input', () => {
+        autosaveProgram(sourceEditor.value);
+    });
+    
+    // Selector: Programas de ejemplo
+    document.getElementById('exampleSelect').addEventListener('change', (e) => {
+        if (e.target.value !== '') {
+            loadExampleProgram(parseInt(e.target.value));
+        }
+        e.target.value = '';
+    });
+    
+    // Botones: Abrir y descargar ficheros .s
+    document.getElementById('openFileBtn').addEventListener('click', () => {
+        document.getElementById('openFileInput').click();
+    });
+    document.getElementById('openFileInput').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            openProgramFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('saveFileBtn').addEventListener('click', downloadProgram);
+    
+    // Programas guardados en el navegador
+    document.getElementById('slotSelect').addEventListener('change', (e) => {
+        if (e.target.value) {
+            loadProgramSlot(e.target.value);
+        }
+    });
+    document.getElementById('saveSlotBtn').addEventListener('click', saveProgramSlot);
+    document.getElementById('deleteSlotBtn').addEventListener('click', deleteProgramSlot);
+    
+    // Consola: enviar una línea de entrada con Enter o con el botón
+    const consoleInput = document.getElementById('consoleInput');
+    const sendConsoleInput = () => {
+        submitConsoleInput(consoleInput.value);
+        consoleInput.value = '';
+    };
+    document.getElementById('consoleSendBtn').addEventListener('click', sendConsoleInput);
+    consoleInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            sendConsoleInput();
+        }
+    });
+    
+    // Dispositivos de E/S: el panel del teclado recibe las pulsaciones
+    document.getElementById('keyboardInput').addEventListener('keydown', handleDeviceKey);
+    
+    // Ruta de datos: enviar el estado al cargarse y ajustar su altura al contenido
+    document.getElementById('datapathFrame').addEventListener('load', updateDatapath);
+    window.addEventListener('message', (e) => {
+        // Solo se aceptan los mensajes del iframe de la ruta de datos
+        const frame = document.getElementById('datapathFrame');
+        if (e.source !== frame.contentWindow ||
+            (DATAPATH_MESSAGE_ORIGIN !== '*' && e.origin !== DATAPATH_MESSAGE_ORIGIN)) {
+            return;
+        }
+        if (e.data && e.data.type === 'riscv-datapath-size') {
+            document.getElementById('datapathFrame').style.height = `${e.data.height}px`;
+        }
+    });
+    
+    // Recuperar el programa de la última visita (o el inicial), ensamblarlo e inicializar UI
+    updateExampleMenu();
+    updateProgramSlots('');
+    const autosaved = getAutosavedProgram();
+    if (autosaved !== null) {
+        setProgramSource(autosaved);
+    } else {
+        assembleProgram();
+        loadDataSegment();
+        sourceEditor.value = getProgramSource();
+        updateUI();
+    }
 });
@@ -0,0 +1,4444 @@
+// ============================================
+// SIMULADOR DE PROCESADOR RISC-V MONOCICLO
+// ============================================
+//
+// Núcleo del simulador, sin dependencias del DOM: estado del procesador,
+// ensamblador, ALU y ejecución. La página lo carga antes que JS/script.js
+// (la interfaz) y desde Node se importa con require() (ver JS/cli.js).
+
+/**
+ * Estado del procesador
+ */
+const processor = {
+    // Banco de 32 registros de 32 bits
+    registers: Array(32).fill(0),
+    
+    // Configuración del simulador
+    config: {
+        // Tamaño de la memoria de datos en bytes
+        memorySize: 1024,
+        
+        // Dirección base del segmento de código (.text)
+        textBase: 0x00000000,
+        
+        // Dirección base del segmento de datos (.data) en la memoria de datos
+        dataBase: 0x00000000,
+        
+        // Modo de ejecución: 'single' (monociclo) o 'pipeline' (5 etapas)
+        mode: 'single',
+        
+        // Adelantamiento de resultados entre etapas del pipeline
+        forwarding: true,
+        
+        // Repertorio de instrucciones: 'RV32I' o 'RV32IM' (ver ISA_PROFILES)
+        isa: 'RV32IM',
+        
+        // Caché de datos delante de la memoria (ver createCacheConfig)
+        cache: createCacheConfig(),
+        
+        // Predictor de saltos condicionales (ver createPredictorConfig)
+        predictor: createPredictorConfig(),
+        
+        // Periodo de reloj en nanosegundos, para estimar el tiempo de ejecución
+        clockPeriod: 10
+    },
+    
+    // Memoria de datos direccionable por bytes (little-endian)
+    memory: new Uint8Array(1024),
+    
+    // Registros de los dispositivos de E/S, desde MMIO_BASE (ver MMIO_DEVICES)
+    mmio: new Uint8Array(0x2000),
+    
+    // Líneas y estadísticas de la caché de datos
+    cache: createCacheState(createCacheConfig()),
+    
+    // Tabla de predicción, historia global y estadísticas del predictor de saltos
+    predictor: createPredictorState(createPredictorConfig()),
+    
+    // Contadores de la ejecución (ver createRunStats)
+    stats: createRunStats(),
+    
+    // Veces que se ha completado cada instrucción: dirección → ejecuciones
+    executionCounts: {},
+    
+    // Program Counter (dirección en bytes de la instrucción actual)
+    pc: 0,
+    
+    // Lista de instrucciones del programa
+    instructions: [
+        'addi x1, x0, 10',    // x1 = 10
+        'addi x2, x0, 20',    // x2 = 20
+        'add x3, x1, x2',     // x3 = x1 + x2 = 30
+        'sub x4, x2, x1',     // x4 = x2 - x1 = 10
+    ],
+    
+    // Programa ensamblado: { line, address, source, pseudo, word, error } por cada
+    // instrucción real (pseudo es el texto original si viene de una expansión)
+    program: [],
+    
+    // Segmento de datos: { line, address, bytes } por cada directiva de .data
+    data: [],
+    
+    // Tabla de símbolos: etiqueta → dirección
+    symbols: {},
+    
+    // Etiquetas definidas en el segmento de datos: etiqueta → dirección
+    dataSymbols: {},
+    
+    // Errores del ensamblado: { line, column, message, code }
+    assemblyErrors: [],
+    
+    // Señales de control
+    controlSignals: {
+        RegWrite: false,
+        ALUSrc: false,
+        MemWrite: false,
+        MemRead: false,
+        MemToReg: false,
+        Branch: false,
+        Jump: false,
+        ALUOp: '00'
+    },
+    
+    // Valores internos del ciclo actual
+    internals: {
+        pc: 0,
+        nextPC: 0,
+        instruction: 0,
+        opcode: 0,
+        rd: 0,
+        rs1: 0,
+        rs2: 0,
+        funct3: 0,
+        funct7: 0,
+        imm: 0,
+        aluResult: 0,
+        readData1: 0,
+        readData2: 0,
+        memData: 0,
+        
+        // Indicadores de la última operación de la ALU
+        aluFlags: { zero: false, negative: false, overflow: false }
+    },
+    
+    // Log de ejecución
+    executionLog: [],
+    
+    // Estado de ejecución automática
+    isRunning: false,
+    
+    // Último fallo que detuvo la ejecución: { address, message } (null si no hubo)
+    fault: null,
+    
+    // Entorno de las llamadas al sistema: consola, montículo y código de salida
+    environment: createEnvironment(),
+    
+    // Registros de control y estado del modo máquina (CSR)
+    csr: createCSRState(),
+    
+    // Control de la ejecución automática
+    runControl: {
+        // Temporizador de la siguiente instrucción (null si no se está ejecutando)
+        timer: null,
+        
+        // Milisegundos entre instrucciones (0 = máxima velocidad)
+        delay: 500,
+        
+        // Límite de instrucciones por ejecución, para detener bucles infinitos
+        maxInstructions: 10000,
+        
+        // Instrucciones ejecutadas desde que se pulsó Ejecutar
+        executed: 0,
+        
+        // Dónde se detuvo la ejecución en un punto de ruptura: { pc, position } (posición
+        // en el historial), o null; al reanudar desde ahí ese punto no vuelve a detenerla
+        breakpointStop: null,
+        
+        // A máxima velocidad la interfaz solo se refresca al final de cada bloque
+        silent: false
+    },
+    
+    // Puntos de ruptura: línea del código → { text, condition } (condition null si es incondicional)
+    breakpoints: {},
+    
+    // Estado del pipeline de 5 etapas (se reemplaza entero en cada ciclo)
+    pipeline: createPipelineState(),
+    
+    // Historial de ejecución: un registro con los cambios de cada instrucción ejecutada
+    history: [],
+    
+    // Número de registros del historial aplicados (menor que su longitud tras retroceder)
+    historyPosition: 0,
+    
+    // Registro del historial en construcción durante la instrucción actual
+    historyRecord: null
+};
+
+// ============================================
+// ANÁLISIS SINTÁCTICO DEL ENSAMBLADOR
+// ============================================
+
+/**
+ * Error de ensamblado con la columna (1-based) donde se detectó
+ * El código opcional permite distinguir errores concretos (ej: 'undefined-label')
+ */
+class AssemblyError extends Error {
+    constructor(message, column, code = null) {
+        super(message);
+        this.name = 'AssemblyError';
+        this.column = column;
+        this.code = code;
+    }
+}
+
+/**
+ * Nombres ABI de los registros, en orden x0..x31
+ */
+const ABI_REGISTER_NAMES = [
+    'zero', 'ra', 'sp', 'gp', 'tp', 't0', 't1', 't2',
+    's0', 's1', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5',
+    'a6', 'a7', 's2', 's3', 's4', 's5', 's6', 's7',
+    's8', 's9', 's10', 's11', 't3', 't4', 't5', 't6'
+];
+
+/**
+ * Obtener el número de registro a partir de su nombre (x0..x31 o nombre ABI)
+ * @param {string} name - Nombre del registro (ej: "x5", "t0", "fp")
+ * @returns {number|null} - Número de registro o null si no es un registro
+ */
+function getRegisterNumber(name) {
+    const lower = name.toLowerCase();
+    
+    if (/^x\d+$/.test(lower)) {
+        return parseInt(lower.substring(1));
+    }
+    if (lower === 'fp') {
+        return 8; // fp es alias de s0
+    }
+    
+    const index = ABI_REGISTER_NAMES.indexOf(lower);
+    return index >= 0 ? index : null;
+}
+
+/**
+ * Comprobar si un identificador es un nombre de registro
+ * @param {string} name - Identificador a comprobar
+ * @returns {boolean}
+ */
+function isRegisterName(name) {
+    return getRegisterNumber(name) !== null;
+}
+
+/**
+ * Secuencias de escape admitidas en caracteres y cadenas: letra → código
+ */
+const ESCAPE_SEQUENCES = { n: 10, t: 9, r: 13, '0': 0, '\\': 92, "'": 39, '"': 34 };
+
+/**
+ * Convertir un literal numérico a su valor
+ * Admite decimal, hexadecimal (0x), binario (0b), octal (0o) y carácter ('a', '\n')
+ * @param {string} text - Literal tal como aparece en el código
+ * @returns {number} - Valor del literal
+ */
+function parseNumber(text) {
+    if (text.startsWith("'")) {
+        const body = text.slice(1, -1);
+        return body.startsWith('\\') ? ESCAPE_SEQUENCES[body[1]] : body.charCodeAt(0);
+    }
+    
+    const negative = text.startsWith('-');
+    const digits = text.replace(/^[+-]/, '');
+    const value = Number(digits);
+    
+    return negative ? -value : value;
+}
+
+/**
+ * Convertir un literal de cadena a sus bytes en UTF-8
+ * @param {string} text - Literal entre comillas dobles (ej: "hola\n")
+ * @returns {Array} - Bytes de la cadena, sin terminador
+ */
+function parseString(text) {
+    const body = text.slice(1, -1).replace(/\\(.)/g, (match, letter) => String.fromCharCode(ESCAPE_SEQUENCES[letter]));
+    return Array.from(new TextEncoder().encode(body));
+}
+
+/**
+ * Dividir una línea de código en tokens, descartando los comentarios (#)
+ * @param {string} text - Línea de código
+ * @returns {Array} - Tokens { type, text, column } con type: 'identifier', 'number',
+ *                    'string', 'comma', 'lparen', 'rparen' o 'colon'
+ */
+function tokenizeLine(text) {
+    const pattern = /\s*(?:(#.*)|([A-Za-z_.$][\w.$]*)|([+-]?(?:0x[0-9a-f]+|0b[01]+|0o[0-7]+|\d+)(?![\w.$])|'(?:\\[ntr0\\'"]|[^\\'])')|("(?:\\[ntr0\\'"]|[^\\"])*")|([,():]))/iy;
+    const punctuation = { ',': 'comma', '(': 'lparen', ')': 'rparen', ':': 'colon' };
+    const tokens = [];
+    
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        
+        if (!match) {
+            // Solo queda espacio en blanco o un carácter que no forma ningún token
+            const rest = text.slice(start);
+            if (rest.trim() === '') {
+                break;
+            }
+            const column = start + rest.search(/\S/) + 1;
+            const word = text.slice(column - 1).match(/^[+-]?\d[\w.$]*/);
+            
+            if (text[column - 1] === '"') {
+                throw new AssemblyError('Cadena sin cerrar o con una secuencia de escape no válida', column);
+            }
+            if (word) {
+                throw new AssemblyError(`Número mal formado "${word[0]}"`, column);
+            }
+            throw new AssemblyError(`Carácter inesperado "${text[column - 1]}"`, column);
+        }
+        
+        // El resto de la línea es un comentario
+        if (match[1] !== undefined) {
+            break;
+        }
+        
+        const tokenText = match[2] || match[3] || match[4] || match[5];
+        const column = pattern.lastIndex - tokenText.length + 1;
+        const type = match[2] ? 'identifier' : match[3] ? 'number' : match[4] ? 'string' : punctuation[tokenText];
+        
+        tokens.push({ type, text: tokenText, column });
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parsear un operando a partir de sus tokens
+ * @param {Array} tokens - Tokens del operando (entre comas)
+ * @param {number} column - Columna donde empieza el operando
+ * @returns {Object} - Operando { type, column, ... } con type:
+ *                     'register' (value), 'immediate' (value), 'label' (name),
+ *                     'string' (bytes) o 'memory' (offset: inmediato/etiqueta o null, base: registro)
+ */
+function parseOperand(tokens, column) {
+    if (tokens.length === 0) {
+        throw new AssemblyError('Falta un operando', column);
+    }
+    
+    const parseSimple = (token) => {
+        if (token.type === 'number') {
+            return { type: 'immediate', value: parseNumber(token.text), column: token.column };
+        }
+        if (token.type === 'string') {
+            return { type: 'string', bytes: parseString(token.text), column: token.column };
+        }
+        if (token.type === 'identifier') {
+            const register = getRegisterNumber(token.text);
+            if (register !== null && register > 31) {
+                throw new AssemblyError(`Registro no válido "${token.text}" (solo existen x0..x31)`, token.column);
+            }
+            return register !== null
+                ? { type: 'register', value: register, column: token.column }
+                : { type: 'label', name: token.text, column: token.column };
+        }
+        throw new AssemblyError(`Símbolo inesperado "${token.text}"`, token.column);
+    };
+    
+    // Operando simple: registro, inmediato o etiqueta
+    if (tokens.length === 1) {
+        return parseSimple(tokens[0]);
+    }
+    
+    // Operando de memoria: offset(base) o (base)
+    const open = tokens.findIndex(t => t.type === 'lparen');
+    const [baseToken, close] = [tokens[open + 1], tokens[open + 2]];
+    
+    if (open < 0) {
+        throw new AssemblyError(`Símbolo inesperado "${tokens[1].text}", falta una coma`, tokens[1].column);
+    }
+    if (open > 1 || !baseToken || !close || close.type !== 'rparen') {
+        const unexpected = tokens[open + 1] || tokens[open];
+        throw new AssemblyError('Operando mal formado, se esperaba offset(base)', unexpected.column);
+    }
+    if (tokens.length > open + 3) {
+        throw new AssemblyError(`Símbolo inesperado "${tokens[open + 3].text}"`, tokens[open + 3].column);
+    }
+    
+    const base = parseSimple(baseToken);
+    if (base.type !== 'register') {
+        throw new AssemblyError(`Se esperaba un registro base, se encontró "${baseToken.text}"`, baseToken.column);
+    }
+    
+    const offset = open === 1 ? parseSimple(tokens[0]) : null;
+    if (offset && offset.type === 'register') {
+        throw new AssemblyError('El desplazamiento no puede ser un registro', offset.column);
+    }
+    
+    return { type: 'memory', offset, base, column };
+}
+
+/**
+ * Parsear una línea completa: etiquetas iniciales e instrucción opcional
+ * @param {string} text - Línea de código (ej: "loop: lw t0, 4(sp)  # comentario")
+ * @returns {Object} - { labels: [{ name, column }], instruction: { mnemonic, operands, source, column } | null }
+ */
+function parseLine(text) {
+    const tokens = tokenizeLine(text);
+    const labels = [];
+    
+    // Una línea puede empezar con una o varias etiquetas "nombre:"
+    while (tokens.length >= 2 && tokens[0].type === 'identifier' && tokens[1].type === 'colon') {
+        labels.push({ name: tokens[0].text, column: tokens[0].column });
+        tokens.splice(0, 2);
+    }
+    
+    if (tokens.length === 0) {
+        return { labels, instruction: null };
+    }
+    
+    const [mnemonicToken, ...rest] = tokens;
+    if (mnemonicToken.type !== 'identifier') {
+        throw new AssemblyError(`Se esperaba una instrucción, se encontró "${mnemonicToken.text}"`, mnemonicToken.column);
+    }
+    
+    // Separar los operandos por comas
+    const operands = [];
+    let current = [];
+    let column = rest.length > 0 ? rest[0].column : mnemonicToken.column + mnemonicToken.text.length;
+    
+    rest.forEach(token => {
+        if (token.type === 'comma') {
+            operands.push(parseOperand(current, column));
+            current = [];
+            column = token.column + 1;
+        } else {
+            current.push(token);
+        }
+    });
+    if (rest.length > 0) {
+        operands.push(parseOperand(current, column));
+    }
+    
+    // Texto de la instrucción sin etiquetas ni comentario
+    const last = tokens[tokens.length - 1];
+    const source = text.slice(mnemonicToken.column - 1, last.column - 1 + last.text.length);
+    
+    return {
+        labels,
+        instruction: {
+            mnemonic: mnemonicToken.text.toLowerCase(),
+            operands,
+            source,
+            column: mnemonicToken.column
+        }
+    };
+}
+
+/**
+ * Parsear una instrucción de texto a sus componentes
+ * @param {string} instrText - Texto de la instrucción (ej: "add x1, x2, x3")
+ * @returns {Object} - { mnemonic, operands, source, column }
+ */
+function parseInstruction(instrText) {
+    const { instruction } = parseLine(instrText);
+    
+    if (!instruction) {
+        throw new AssemblyError('No hay ninguna instrucción', 1);
+    }
+    return instruction;
+}
+
+/**
+ * Obtener el número de registro de un operando
+ * @param {Object} instruction - Instrucción parseada (para ubicar los errores)
+ * @param {number} index - Posición del operando
+ * @returns {number} - Número de registro
+ */
+function expectRegister(instruction, index) {
+    const operand = getOperand(instruction, index);
+    
+    if (operand.type !== 'register') {
+        throw new AssemblyError(`El operando ${index + 1} de ${instruction.mnemonic} debe ser un registro`, operand.column);
+    }
+    return operand.value;
+}
+
+/**
+ * Obtener el valor de un operando inmediato
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} index - Posición del operando
+ * @param {number} min - Valor mínimo admitido (opcional)
+ * @param {number} max - Valor máximo admitido (opcional)
+ * @returns {number} - Valor del inmediato
+ */
+function expectImmediate(instruction, index, min = -Infinity, max = Infinity) {
+    const operand = getOperand(instruction, index);
+    
+    if (operand.type !== 'immediate') {
+        throw new AssemblyError(`El operando ${index + 1} de ${instruction.mnemonic} debe ser un valor inmediato`, operand.column);
+    }
+    checkImmediateRange(operand.value, min, max, operand.column);
+    return operand.value;
+}
+
+/**
+ * Verificar que un inmediato cabe en el campo de la instrucción
+ * @param {number} value - Valor del inmediato
+ * @param {number} min - Valor mínimo admitido
+ * @param {number} max - Valor máximo admitido
+ * @param {number} column - Columna del operando (para el error)
+ */
+function checkImmediateRange(value, min, max, column) {
+    if (value < min || value > max) {
+        throw new AssemblyError(`Inmediato ${value} fuera de rango [${min}, ${max}]`, column);
+    }
+}
+
+/**
+ * Verificar que la instrucción tiene el número de operandos esperado
+ * @param {Object} instruction - Instrucción parseada
+ * @param {...number} allowed - Cantidades de operandos admitidas
+ */
+function checkOperandCount(instruction, ...allowed) {
+    const count = instruction.operands.length;
+    
+    if (allowed.includes(count)) {
+        return;
+    }
+    
+    const expected = allowed.join(' o ');
+    const message = `${instruction.mnemonic} espera ${expected} operando(s), se encontraron ${count}`;
+    
+    // Señalar el primer operando sobrante, o el final de la instrucción si faltan
+    const extra = instruction.operands[Math.max(...allowed)];
+    const column = extra ? extra.column : instruction.column + instruction.source.length;
+    throw new AssemblyError(message, column);
+}
+
+/**
+ * Obtener base y desplazamiento de un operando de memoria offset(base)
+ * El desplazamiento puede ser una etiqueta si su dirección cabe en 12 bits (ej: var(x0))
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} index - Posición del operando
+ * @param {Object} symbols - Tabla de símbolos: etiqueta → dirección
+ * @returns {Object} - { base, offset }
+ */
+function expectMemory(instruction, index, symbols = {}) {
+    const operand = getOperand(instruction, index);
+    
+    if (operand.type !== 'memory') {
+        throw new AssemblyError(`El operando ${index + 1} de ${instruction.mnemonic} debe tener la forma offset(base)`, operand.column);
+    }
+    if (!operand.offset) {
+        return { base: operand.base.value, offset: 0 };
+    }
+    
+    const { offset } = operand;
+    if (offset.type === 'label') {
+        if (!Object.hasOwn(symbols, offset.name)) {
+            throw new AssemblyError(`Etiqueta no definida: "${offset.name}"`, offset.column, 'undefined-label');
+        }
+        const value = symbols[offset.name];
+        if (value > 2047) {
+            throw new AssemblyError(`La dirección de ${offset.name} (${formatHex(value)}) no cabe en el desplazamiento ` +
+                `de 12 bits; usa ${instruction.mnemonic} con la etiqueta sola o la`, offset.column);
+        }
+        return { base: operand.base.value, offset: value };
+    }
+    if (offset.type !== 'immediate') {
+        throw new AssemblyError('El desplazamiento debe ser un valor inmediato o una etiqueta', offset.column);
+    }
+    checkImmediateRange(offset.value, -2048, 2047, offset.column);
+    return { base: operand.base.value, offset: offset.value };
+}
+
+/**
+ * Obtener un operando, con error si falta
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} index - Posición del operando
+ * @returns {Object} - Operando
+ */
+function getOperand(instruction, index) {
+    const operand = instruction.operands[index];
+    
+    if (!operand) {
+        const column = instruction.column + instruction.source.length;
+        throw new AssemblyError(`Falta el operando ${index + 1} de ${instruction.mnemonic}`, column);
+    }
+    return operand;
+}
+
+// ============================================
+// FUNCIONES DE DECODIFICACIÓN DE INSTRUCCIONES
+// ============================================
+
+/**
+ * Tabla de opcodes por mnemónico
+ */
+const OPCODES = {
+    // Tipo R (operaciones entre registros)
+    'add': 0b0110011, 'sub': 0b0110011, 'and': 0b0110011,
+    'or': 0b0110011, 'xor': 0b0110011, 'slt': 0b0110011,
+    'sltu': 0b0110011, 'sll': 0b0110011, 'srl': 0b0110011,
+    'sra': 0b0110011,
+    
+    // Tipo R de la extensión M (multiplicación y división)
+    'mul': 0b0110011, 'mulh': 0b0110011, 'mulhsu': 0b0110011,
+    'mulhu': 0b0110011, 'div': 0b0110011, 'divu': 0b0110011,
+    'rem': 0b0110011, 'remu': 0b0110011,
+    
+    // Tipo I (operaciones con inmediatos)
+    'addi': 0b0010011, 'andi': 0b0010011, 'ori': 0b0010011,
+    'xori': 0b0010011, 'slti': 0b0010011, 'sltiu': 0b0010011,
+    'slli': 0b0010011, 'srli': 0b0010011, 'srai': 0b0010011,
+    
+    // Tipo I (load - carga desde memoria)
+    'lw': 0b0000011, 'lh': 0b0000011, 'lb': 0b0000011,
+    'lhu': 0b0000011, 'lbu': 0b0000011,
+    
+    // Tipo S (store - almacenamiento en memoria)
+    'sw': 0b0100011, 'sh': 0b0100011, 'sb': 0b0100011,
+    
+    // Tipo B (branch - saltos condicionales)
+    'beq': 0b1100011, 'bne': 0b1100011, 'blt': 0b1100011,
+    'bge': 0b1100011, 'bltu': 0b1100011, 'bgeu': 0b1100011,
+    
+    // Tipo U (inmediatos superiores)
+    'lui': 0b0110111, 'auipc': 0b0010111,
+    
+    // Tipo J y JALR (saltos incondicionales)
+    'jal': 0b1101111, 'jalr': 0b1100111,
+    
+    // Sincronización de memoria, llamadas al entorno y retorno de excepción
+    'fence': 0b0001111, 'ecall': 0b1110011, 'ebreak': 0b1110011, 'mret': 0b1110011,
+    
+    // Zicsr (registros de control y estado)
+    'csrrw': 0b1110011, 'csrrs': 0b1110011, 'csrrc': 0b1110011,
+    'csrrwi': 0b1110011, 'csrrsi': 0b1110011, 'csrrci': 0b1110011
+};
+
+/**
+ * Tabla de funct3 por mnemónico
+ */
+const FUNCT3 = {
+    // Tipo R
+    'add': 0b000, 'sub': 0b000, 'sll': 0b001, 'slt': 0b010,
+    'sltu': 0b011, 'xor': 0b100, 'srl': 0b101, 'sra': 0b101,
+    'or': 0b110, 'and': 0b111,
+    
+    // Extensión M
+    'mul': 0b000, 'mulh': 0b001, 'mulhsu': 0b010, 'mulhu': 0b011,
+    'div': 0b100, 'divu': 0b101, 'rem': 0b110, 'remu': 0b111,
+    
+    // Tipo I (operaciones)
+    'addi': 0b000, 'slti': 0b010, 'sltiu': 0b011, 'xori': 0b100,
+    'ori': 0b110, 'andi': 0b111, 'slli': 0b001, 'srli': 0b101,
+    'srai': 0b101,
+    
+    // Tipo I (load)
+    'lb': 0b000, 'lh': 0b001, 'lw': 0b010, 'lbu': 0b100, 'lhu': 0b101,
+    
+    // Tipo S
+    'sb': 0b000, 'sh': 0b001, 'sw': 0b010,
+    
+    // Tipo B
+    'beq': 0b000, 'bne': 0b001, 'blt': 0b100, 'bge': 0b101,
+    'bltu': 0b110, 'bgeu': 0b111,
+    
+    // JALR, FENCE y SYSTEM
+    'jalr': 0b000, 'fence': 0b000, 'ecall': 0b000, 'ebreak': 0b000, 'mret': 0b000,
+    
+    // Zicsr (el bit 2 indica que el operando es un inmediato de 5 bits)
+    'csrrw': 0b001, 'csrrs': 0b010, 'csrrc': 0b011,
+    'csrrwi': 0b101, 'csrrsi': 0b110, 'csrrci': 0b111
+};
+
+/**
+ * Tabla de funct7 por mnemónico (solo los distintos de 0)
+ */
+const FUNCT7 = {
+    'sub': 0b0100000,
+    'sra': 0b0100000,
+    'srai': 0b0100000,
+    'mul': 0b0000001, 'mulh': 0b0000001, 'mulhsu': 0b0000001, 'mulhu': 0b0000001,
+    'div': 0b0000001, 'divu': 0b0000001, 'rem': 0b0000001, 'remu': 0b0000001
+};
+
+/**
+ * Instrucciones de cada extensión opcional del repertorio
+ */
+const ISA_EXTENSIONS = {
+    M: ['mul', 'mulh', 'mulhsu', 'mulhu', 'div', 'divu', 'rem', 'remu']
+};
+
+/**
+ * Perfiles del repertorio que se pueden elegir: nombre → extensiones incluidas
+ */
+const ISA_PROFILES = {
+    RV32I: [],
+    RV32IM: ['M']
+};
+
+/**
+ * Obtener la extensión a la que pertenece una instrucción
+ * @param {string} mnemonic - Mnemónico de la instrucción
+ * @returns {string|null} - Letra de la extensión o null si es del repertorio base
+ */
+function getInstructionExtension(mnemonic) {
+    return Object.keys(ISA_EXTENSIONS).find(extension => ISA_EXTENSIONS[extension].includes(mnemonic)) || null;
+}
+
+/**
+ * Comprobar si una instrucción está en el perfil del repertorio elegido
+ * @param {string} mnemonic - Mnemónico de la instrucción
+ * @returns {boolean}
+ */
+function isInstructionAvailable(mnemonic) {
+    const extension = getInstructionExtension(mnemonic);
+    return extension === null || ISA_PROFILES[processor.config.isa].includes(extension);
+}
+
+/**
+ * Tabla de funct12 (imm[11:0]) de las instrucciones SYSTEM sin funct3
+ * (en las de Zicsr esos bits son el número de CSR)
+ */
+const FUNCT12 = {
+    'ecall': 0x000,
+    'ebreak': 0x001,
+    'mret': 0x302
+};
+
+/**
+ * Obtener el código de operación binario según el mnemónico
+ * @param {string} mnemonic - Mnemónico de la instrucción
+ * @returns {number} - Código de operación
+ */
+function getOpcodeValue(mnemonic) {
+    return OPCODES[mnemonic] || 0;
+}
+
+/**
+ * Obtener el campo funct3 de la instrucción
+ * @param {string} mnemonic - Mnemónico de la instrucción
+ * @returns {number} - Valor de funct3
+ */
+function getFunct3(mnemonic) {
+    return FUNCT3[mnemonic] || 0;
+}
+
+/**
+ * Obtener el campo funct7 para instrucciones tipo R
+ * @param {string} mnemonic - Mnemónico de la instrucción
+ * @returns {number} - Valor de funct7
+ */
+function getFunct7(mnemonic) {
+    return FUNCT7[mnemonic] || 0b0000000;
+}
+
+// ============================================
+// CODIFICACIÓN Y DECODIFICACIÓN DE CÓDIGO MÁQUINA
+// ============================================
+
+/**
+ * Obtener el formato de instrucción a partir del opcode
+ * @param {number} opcode - Campo opcode de 7 bits
+ * @returns {string|null} - Formato ('R', 'I', 'S', 'B', 'U' o 'J') o null si no es válido
+ */
+function getInstructionFormat(opcode) {
+    const formats = {
+        0b0110011: 'R',
+        0b0010011: 'I',
+        0b0000011: 'I',
+        0b1100111: 'I',
+        0b0001111: 'I',
+        0b1110011: 'I',
+        0b0100011: 'S',
+        0b1100011: 'B',
+        0b0110111: 'U',
+        0b0010111: 'U',
+        0b1101111: 'J'
+    };
+    
+    return formats[opcode] || null;
+}
+
+/**
+ * Codificar una instrucción tipo R
+ * funct7 | rs2 | rs1 | funct3 | rd | opcode
+ */
+function encodeRType(opcode, rd, funct3, rs1, rs2, funct7) {
+    return ((funct7 & 0x7F) << 25 | (rs2 & 0x1F) << 20 | (rs1 & 0x1F) << 15 |
+            (funct3 & 0x7) << 12 | (rd & 0x1F) << 7 | (opcode & 0x7F)) >>> 0;
+}
+
+/**
+ * Codificar una instrucción tipo I
+ * imm[11:0] | rs1 | funct3 | rd | opcode
+ */
+function encodeIType(opcode, rd, funct3, rs1, imm) {
+    return ((imm & 0xFFF) << 20 | (rs1 & 0x1F) << 15 |
+            (funct3 & 0x7) << 12 | (rd & 0x1F) << 7 | (opcode & 0x7F)) >>> 0;
+}
+
+/**
+ * Codificar una instrucción tipo S
+ * imm[11:5] | rs2 | rs1 | funct3 | imm[4:0] | opcode
+ */
+function encodeSType(opcode, funct3, rs1, rs2, imm) {
+    return (((imm >> 5) & 0x7F) << 25 | (rs2 & 0x1F) << 20 | (rs1 & 0x1F) << 15 |
+            (funct3 & 0x7) << 12 | (imm & 0x1F) << 7 | (opcode & 0x7F)) >>> 0;
+}
+
+/**
+ * Codificar una instrucción tipo B (el inmediato es un desplazamiento en bytes)
+ * imm[12] | imm[10:5] | rs2 | rs1 | funct3 | imm[4:1] | imm[11] | opcode
+ */
+function encodeBType(opcode, funct3, rs1, rs2, imm) {
+    return (((imm >> 12) & 0x1) << 31 | ((imm >> 5) & 0x3F) << 25 |
+            (rs2 & 0x1F) << 20 | (rs1 & 0x1F) << 15 | (funct3 & 0x7) << 12 |
+            ((imm >> 1) & 0xF) << 8 | ((imm >> 11) & 0x1) << 7 | (opcode & 0x7F)) >>> 0;
+}
+
+/**
+ * Codificar una instrucción tipo U (el inmediato son los 20 bits superiores)
+ * imm[31:12] | rd | opcode
+ */
+function encodeUType(opcode, rd, imm) {
+    return ((imm & 0xFFFFF) << 12 | (rd & 0x1F) << 7 | (opcode & 0x7F)) >>> 0;
+}
+
+/**
+ * Codificar una instrucción tipo J (el inmediato es un desplazamiento en bytes)
+ * imm[20] | imm[10:1] | imm[11] | imm[19:12] | rd | opcode
+ */
+function encodeJType(opcode, rd, imm) {
+    return (((imm >> 20) & 0x1) << 31 | ((imm >> 1) & 0x3FF) << 21 |
+            ((imm >> 11) & 0x1) << 20 | ((imm >> 12) & 0xFF) << 12 |
+            (rd & 0x1F) << 7 | (opcode & 0x7F)) >>> 0;
+}
+
+/**
+ * Ensamblar una instrucción a su palabra de 32 bits
+ * @param {Object|string} instruction - Instrucción parseada o su texto (ej: "add x1, x2, x3")
+ * @param {number} address - Dirección de la instrucción (para saltos a etiquetas)
+ * @param {Object} symbols - Tabla de símbolos: etiqueta → dirección
+ * @returns {number} - Palabra de instrucción (entero sin signo de 32 bits)
+ */
+function encodeInstruction(instruction, address = 0, symbols = {}) {
+    if (typeof instruction === 'string') {
+        instruction = parseInstruction(instruction);
+    }
+    
+    const { mnemonic } = instruction;
+    const opcode = getOpcodeValue(mnemonic);
+    const funct3 = getFunct3(mnemonic);
+    const funct7 = getFunct7(mnemonic);
+    
+    if (!getInstructionFormat(opcode)) {
+        throw new AssemblyError(`Instrucción desconocida: "${mnemonic}"`, instruction.column);
+    }
+    if (!isInstructionAvailable(mnemonic)) {
+        throw new AssemblyError(`${mnemonic}: pertenece a la extensión ${getInstructionExtension(mnemonic)}, ` +
+            `que no está en el repertorio ${processor.config.isa}`, instruction.column);
+    }
+    
+    switch (opcode) {
+        case 0b0110011: // Tipo R: rd, rs1, rs2
+            checkOperandCount(instruction, 3);
+            return encodeRType(opcode, expectRegister(instruction, 0), funct3,
+                expectRegister(instruction, 1), expectRegister(instruction, 2), funct7);
+            
+        case 0b0010011: { // Tipo I: rd, rs1, imm
+            checkOperandCount(instruction, 3);
+            
+            // Los desplazamientos llevan shamt en imm[4:0] y funct7 en imm[11:5]
+            const isShift = funct3 === 0b001 || funct3 === 0b101;
+            let imm = isShift
+                ? expectImmediate(instruction, 2, 0, 31)
+                : expectImmediate(instruction, 2, -2048, 2047);
+            
+            if (isShift) {
+                imm = (funct7 << 5) | imm;
+            }
+            return encodeIType(opcode, expectRegister(instruction, 0), funct3,
+                expectRegister(instruction, 1), imm);
+        }
+            
+        case 0b0000011: { // Load: rd, offset(rs1)
+            checkOperandCount(instruction, 2);
+            const { base, offset } = expectMemory(instruction, 1, symbols);
+            return encodeIType(opcode, expectRegister(instruction, 0), funct3, base, offset);
+        }
+            
+        case 0b0100011: { // Store: rs2, offset(rs1)
+            checkOperandCount(instruction, 2);
+            const { base, offset } = expectMemory(instruction, 1, symbols);
+            return encodeSType(opcode, funct3, base, expectRegister(instruction, 0), offset);
+        }
+            
+        case 0b1100011: { // Branch: rs1, rs2, offset (en bytes, ±4 KiB) o etiqueta
+            checkOperandCount(instruction, 3);
+            const offset = resolveJumpOffset(instruction, 2, address, symbols, 13);
+            return encodeBType(opcode, funct3, expectRegister(instruction, 0),
+                expectRegister(instruction, 1), offset);
+        }
+            
+        case 0b0110111: // LUI: rd, imm[31:12]
+        case 0b0010111: // AUIPC: rd, imm[31:12]
+            checkOperandCount(instruction, 2);
+            return encodeUType(opcode, expectRegister(instruction, 0), expectImmediate(instruction, 1, 0, 0xFFFFF));
+            
+        case 0b1101111: { // JAL: rd, offset (en bytes, ±1 MiB) o etiqueta
+            checkOperandCount(instruction, 2);
+            const offset = resolveJumpOffset(instruction, 1, address, symbols, 21);
+            return encodeJType(opcode, expectRegister(instruction, 0), offset);
+        }
+            
+        case 0b1100111: { // JALR: rd, offset(rs1) o rd, rs1, imm
+            const rd = expectRegister(instruction, 0);
+            
+            if (getOperand(instruction, 1).type === 'memory') {
+                checkOperandCount(instruction, 2);
+                const { base, offset } = expectMemory(instruction, 1, symbols);
+                return encodeIType(opcode, rd, funct3, base, offset);
+            }
+            checkOperandCount(instruction, 2, 3);
+            return encodeIType(opcode, rd, funct3, expectRegister(instruction, 1),
+                instruction.operands.length > 2 ? expectImmediate(instruction, 2, -2048, 2047) : 0);
+        }
+            
+        case 0b0001111: { // FENCE [pred, succ]: por defecto orden completo (iorw, iorw)
+            checkOperandCount(instruction, 0, 2);
+            const pred = instruction.operands.length > 0 ? parseFenceSet(instruction, 0) : 0xF;
+            const succ = instruction.operands.length > 0 ? parseFenceSet(instruction, 1) : 0xF;
+            return encodeIType(opcode, 0, funct3, 0, (pred << 4) | succ);
+        }
+            
+        case 0b1110011: { // ECALL / EBREAK / MRET: sin operandos, se distinguen por funct12
+            if (funct3 === 0b000) {
+                checkOperandCount(instruction, 0);
+                return encodeIType(opcode, 0, funct3, 0, FUNCT12[mnemonic]);
+            }
+            
+            // Zicsr: rd, csr, rs1 o rd, csr, uimm (el inmediato va en el campo rs1)
+            checkOperandCount(instruction, 3);
+            const source = funct3 & 0b100
+                ? expectImmediate(instruction, 2, 0, 31)
+                : expectRegister(instruction, 2);
+            return encodeIType(opcode, expectRegister(instruction, 0), funct3, source, expectCSR(instruction, 1));
+        }
+    }
+}
+
+/**
+ * Obtener el número de CSR de un operando: su nombre (ej: mstatus) o un número de 12 bits
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} index - Posición del operando
+ * @returns {number} - Número de CSR
+ */
+function expectCSR(instruction, index) {
+    const operand = getOperand(instruction, index);
+    
+    if (operand.type === 'label') {
+        if (!Object.hasOwn(CSR_NUMBERS, operand.name)) {
+            throw new AssemblyError(`CSR desconocido: "${operand.name}"`, operand.column);
+        }
+        return CSR_NUMBERS[operand.name];
+    }
+    return expectImmediate(instruction, index, 0, 0xFFF);
+}
+
+/**
+ * Convertir un conjunto de accesos de FENCE (ej: "rw", "iorw") a sus 4 bits
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} index - Posición del operando
+ * @returns {number} - Bits i|o|r|w
+ */
+function parseFenceSet(instruction, index) {
+    const operand = getOperand(instruction, index);
+    const bits = { i: 0b1000, o: 0b0100, r: 0b0010, w: 0b0001 };
+    const letters = operand.type === 'label' ? operand.name.toLowerCase() : '';
+    
+    if (!/^i?o?r?w?$/.test(letters) || letters === '') {
+        throw new AssemblyError('El conjunto de FENCE debe combinar i, o, r, w (ej: "rw")', operand.column);
+    }
+    return letters.split('').reduce((set, letter) => set | bits[letter], 0);
+}
+
+/**
+ * Obtener el desplazamiento de un salto a partir de su operando
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} index - Posición del operando (desplazamiento en bytes o etiqueta)
+ * @param {number} address - Dirección de la instrucción de salto
+ * @param {Object} symbols - Tabla de símbolos: etiqueta → dirección
+ * @param {number} bits - Ancho del inmediato con signo (13 para tipo B, 21 para tipo J)
+ * @returns {number} - Desplazamiento relativo al PC
+ */
+function resolveJumpOffset(instruction, index, address, symbols, bits) {
+    const operand = getOperand(instruction, index);
+    let offset;
+    
+    if (operand.type === 'label') {
+        if (!Object.hasOwn(symbols, operand.name)) {
+            throw new AssemblyError(`Etiqueta no definida: "${operand.name}"`, operand.column, 'undefined-label');
+        }
+        offset = symbols[operand.name] - address;
+    } else {
+        offset = expectImmediate(instruction, index);
+    }
+    
+    checkJumpOffset(instruction.mnemonic, offset, bits, operand.column);
+    return offset;
+}
+
+/**
+ * Verificar que el desplazamiento de un salto cabe en su inmediato
+ * Los inmediatos de saltos no codifican el bit 0, así que el desplazamiento debe ser par
+ * @param {string} mnemonic - Mnemónico de la instrucción
+ * @param {number} offset - Desplazamiento en bytes relativo al PC
+ * @param {number} bits - Ancho del inmediato con signo (13 para tipo B, 21 para tipo J)
+ * @param {number} column - Columna del operando (para el error)
+ */
+function checkJumpOffset(mnemonic, offset, bits, column) {
+    const limit = 2 ** (bits - 1);
+    
+    if (offset < -limit || offset > limit - 2) {
+        throw new AssemblyError(`${mnemonic}: desplazamiento ${offset} fuera de rango [${-limit}, ${limit - 2}]`, column);
+    }
+    if (offset % 2 !== 0) {
+        throw new AssemblyError(`${mnemonic}: el desplazamiento ${offset} debe ser par`, column);
+    }
+}
+
+/**
+ * Decodificar una palabra de 32 bits en sus campos
+ * @param {number} word - Palabra de instrucción
+ * @returns {Object} - Campos de la instrucción con el inmediato ya extendido en signo
+ */
+function decodeInstruction(word) {
+    const opcode = word & 0x7F;
+    const format = getInstructionFormat(opcode);
+    
+    // Reconstruir el inmediato según el formato
+    let imm = 0;
+    switch (format) {
+        case 'I':
+            imm = word >> 20;
+            break;
+        case 'S':
+            imm = ((word >> 25) << 5) | ((word >>> 7) & 0x1F);
+            break;
+        case 'B':
+            imm = ((word >> 31) << 12) | (((word >>> 7) & 0x1) << 11) |
+                  (((word >>> 25) & 0x3F) << 5) | (((word >>> 8) & 0xF) << 1);
+            break;
+        case 'U':
+            imm = word & 0xFFFFF000;
+            break;
+        case 'J':
+            imm = ((word >> 31) << 20) | (((word >>> 12) & 0xFF) << 12) |
+                  (((word >>> 20) & 0x1) << 11) | (((word >>> 21) & 0x3FF) << 1);
+            break;
+    }
+    
+    return {
+        word: word >>> 0,
+        format,
+        opcode,
+        rd: (word >>> 7) & 0x1F,
+        funct3: (word >>> 12) & 0x7,
+        rs1: (word >>> 15) & 0x1F,
+        rs2: (word >>> 20) & 0x1F,
+        funct7: (word >>> 25) & 0x7F,
+        imm
+    };
+}
+
+/**
+ * Obtener el mnemónico correspondiente a una instrucción decodificada
+ * @param {Object} decoded - Resultado de decodeInstruction
+ * @returns {string} - Mnemónico o '???' si no corresponde a ninguna instrucción
+ */
+function getMnemonic(decoded) {
+    const { format, opcode, funct3, funct7, imm } = decoded;
+    
+    // Los formatos U y J no tienen funct3: esos bits forman parte del inmediato
+    const usesFunct3 = format !== 'U' && format !== 'J';
+    
+    // funct7 solo distingue instrucciones tipo R y desplazamientos con inmediato
+    const usesFunct7 = opcode === 0b0110011 ||
+        (opcode === 0b0010011 && (funct3 === 0b001 || funct3 === 0b101));
+    
+    // ECALL, EBREAK y MRET se distinguen por el inmediato completo (funct12)
+    const usesFunct12 = opcode === 0b1110011 && funct3 === 0b000;
+    
+    const mnemonic = Object.keys(OPCODES).find(m =>
+        OPCODES[m] === opcode &&
+        (!usesFunct3 || getFunct3(m) === funct3) &&
+        (!usesFunct7 || getFunct7(m) === funct7) &&
+        (!usesFunct12 || FUNCT12[m] === imm)
+    );
+    
+    // Las instrucciones de extensiones fuera del repertorio elegido son ilegales
+    return mnemonic && isInstructionAvailable(mnemonic) ? mnemonic : '???';
+}
+
+// ============================================
+// PSEUDOINSTRUCCIONES
+// ============================================
+
+/**
+ * Crear un operando de registro para una expansión
+ */
+function registerOperand(value, column) {
+    return { type: 'register', value, column };
+}
+
+/**
+ * Crear un operando inmediato para una expansión
+ */
+function immediateOperand(value, column) {
+    return { type: 'immediate', value, column };
+}
+
+/**
+ * Dividir un valor de 32 bits en la parte alta para LUI/AUIPC y la baja
+ * para ADDI/JALR, compensando la extensión de signo de la parte baja
+ * @param {number} value - Valor a dividir
+ * @returns {Object} - { hi: 20 bits, lo: 12 bits con signo } con (hi << 12) + lo = value
+ */
+function splitImmediate(value) {
+    const lo = (value << 20) >> 20;
+    const hi = ((value - lo) >>> 12) & 0xFFFFF;
+    return { hi, lo };
+}
+
+/**
+ * Obtener la distancia desde una instrucción hasta un símbolo o dirección absoluta
+ * @param {Object} operand - Operando etiqueta o inmediato
+ * @param {number} address - Dirección de la instrucción
+ * @param {Object} symbols - Tabla de símbolos
+ * @returns {number} - Desplazamiento relativo al PC
+ */
+function resolvePCRelative(operand, address, symbols) {
+    if (operand.type === 'label') {
+        if (!Object.hasOwn(symbols, operand.name)) {
+            throw new AssemblyError(`Etiqueta no definida: "${operand.name}"`, operand.column, 'undefined-label');
+        }
+        return (symbols[operand.name] - address) | 0;
+    }
+    if (operand.type === 'immediate') {
+        return (operand.value - address) | 0;
+    }
+    throw new AssemblyError('Se esperaba una etiqueta o una dirección', operand.column);
+}
+
+/**
+ * Carga desde una etiqueta (ej: lw a0, var): AUIPC calcula la parte alta de la
+ * dirección en el propio registro destino y la carga suma la parte baja
+ * @param {string} mnemonic - Instrucción de carga real
+ * @returns {Object} - Definición de PSEUDO_INSTRUCTIONS
+ */
+function loadFromSymbol(mnemonic) {
+    return {
+        operands: [2],
+        size: 2,
+        when: ([, source]) => source.type !== 'memory',
+        expand: ([rd, target], col, address, symbols) => {
+            const { hi, lo } = splitImmediate(resolvePCRelative(target, address, symbols));
+            return [
+                ['auipc', rd, immediateOperand(hi, target.column)],
+                [mnemonic, rd, { type: 'memory', base: rd, offset: immediateOperand(lo, target.column), column: target.column }]
+            ];
+        }
+    };
+}
+
+/**
+ * Pseudoinstrucciones estándar de RISC-V
+ * operands: cantidades de operandos admitidas
+ * size: número de instrucciones reales (si no depende de los operandos)
+ * when: si existe la instrucción real del mismo nombre, operandos con los que se usa la pseudoinstrucción
+ * expand: (operandos, columna, dirección, símbolos) → [mnemónico, ...operandos][]
+ */
+const PSEUDO_INSTRUCTIONS = {
+    'nop': { operands: [0], size: 1, expand: (ops, col) =>
+        [['addi', registerOperand(0, col), registerOperand(0, col), immediateOperand(0, col)]] },
+    
+    'li': { operands: [2], expand: ([rd, imm], col) => {
+        if (imm.type !== 'immediate') {
+            throw new AssemblyError('El operando 2 de li debe ser un valor inmediato', imm.column);
+        }
+        checkImmediateRange(imm.value, -(2 ** 31), 2 ** 32 - 1, imm.column);
+        
+        // Si cabe en 12 bits basta un ADDI; si no, LUI carga la parte alta
+        if (imm.value >= -2048 && imm.value <= 2047) {
+            return [['addi', rd, registerOperand(0, col), imm]];
+        }
+        const { hi, lo } = splitImmediate(imm.value | 0);
+        const expansion = [['lui', rd, immediateOperand(hi, imm.column)]];
+        if (lo !== 0) {
+            expansion.push(['addi', rd, rd, immediateOperand(lo, imm.column)]);
+        }
+        return expansion;
+    } },
+    
+    'la': { operands: [2], size: 2, expand: ([rd, target], col, address, symbols) => {
+        const { hi, lo } = splitImmediate(resolvePCRelative(target, address, symbols));
+        return [
+            ['auipc', rd, immediateOperand(hi, target.column)],
+            ['addi', rd, rd, immediateOperand(lo, target.column)]
+        ];
+    } },
+    
+    // Cargas desde una etiqueta, además de la forma real offset(base)
+    'lb': loadFromSymbol('lb'),
+    'lh': loadFromSymbol('lh'),
+    'lw': loadFromSymbol('lw'),
+    'lbu': loadFromSymbol('lbu'),
+    'lhu': loadFromSymbol('lhu'),
+    
+    'mv': { operands: [2], size: 1, expand: ([rd, rs], col) => [['addi', rd, rs, immediateOperand(0, col)]] },
+    'not': { operands: [2], size: 1, expand: ([rd, rs], col) => [['xori', rd, rs, immediateOperand(-1, col)]] },
+    'neg': { operands: [2], size: 1, expand: ([rd, rs], col) => [['sub', rd, registerOperand(0, col), rs]] },
+    'seqz': { operands: [2], size: 1, expand: ([rd, rs], col) => [['sltiu', rd, rs, immediateOperand(1, col)]] },
+    'snez': { operands: [2], size: 1, expand: ([rd, rs], col) => [['sltu', rd, registerOperand(0, col), rs]] },
+    'sltz': { operands: [2], size: 1, expand: ([rd, rs], col) => [['slt', rd, rs, registerOperand(0, col)]] },
+    'sgtz': { operands: [2], size: 1, expand: ([rd, rs], col) => [['slt', rd, registerOperand(0, col), rs]] },
+    
+    // Saltos condicionales contra cero
+    'beqz': { operands: [2], size: 1, expand: ([rs, off], col) => [['beq', rs, registerOperand(0, col), off]] },
+    'bnez': { operands: [2], size: 1, expand: ([rs, off], col) => [['bne', rs, registerOperand(0, col), off]] },
+    'blez': { operands: [2], size: 1, expand: ([rs, off], col) => [['bge', registerOperand(0, col), rs, off]] },
+    'bgez': { operands: [2], size: 1, expand: ([rs, off], col) => [['bge', rs, registerOperand(0, col), off]] },
+    'bltz': { operands: [2], size: 1, expand: ([rs, off], col) => [['blt', rs, registerOperand(0, col), off]] },
+    'bgtz': { operands: [2], size: 1, expand: ([rs, off], col) => [['blt', registerOperand(0, col), rs, off]] },
+    
+    // Saltos condicionales con los operandos intercambiados
+    'bgt': { operands: [3], size: 1, expand: ([rs, rt, off]) => [['blt', rt, rs, off]] },
+    'ble': { operands: [3], size: 1, expand: ([rs, rt, off]) => [['bge', rt, rs, off]] },
+    'bgtu': { operands: [3], size: 1, expand: ([rs, rt, off]) => [['bltu', rt, rs, off]] },
+    'bleu': { operands: [3], size: 1, expand: ([rs, rt, off]) => [['bgeu', rt, rs, off]] },
+    
+    // Saltos incondicionales, llamadas y retorno
+    'j': { operands: [1], size: 1, expand: ([off], col) => [['jal', registerOperand(0, col), off]] },
+    'jal': { operands: [1], size: 1, expand: ([off], col) => [['jal', registerOperand(1, col), off]] },
+    'jr': { operands: [1], size: 1, expand: ([rs], col) =>
+        [['jalr', registerOperand(0, col), rs, immediateOperand(0, col)]] },
+    'jalr': { operands: [1], size: 1, expand: ([rs], col) =>
+        [['jalr', registerOperand(1, col), rs, immediateOperand(0, col)]] },
+    'ret': { operands: [0], size: 1, expand: (ops, col) =>
+        [['jalr', registerOperand(0, col), registerOperand(1, col), immediateOperand(0, col)]] },
+    
+    // Acceso a los CSR sin registro destino o sin operando
+    'csrr': { operands: [2], size: 1, expand: ([rd, csr], col) => [['csrrs', rd, csr, registerOperand(0, col)]] },
+    'csrw': { operands: [2], size: 1, expand: ([csr, rs], col) => [['csrrw', registerOperand(0, col), csr, rs]] },
+    'csrs': { operands: [2], size: 1, expand: ([csr, rs], col) => [['csrrs', registerOperand(0, col), csr, rs]] },
+    'csrc': { operands: [2], size: 1, expand: ([csr, rs], col) => [['csrrc', registerOperand(0, col), csr, rs]] },
+    'csrwi': { operands: [2], size: 1, expand: ([csr, imm], col) => [['csrrwi', registerOperand(0, col), csr, imm]] },
+    'csrsi': { operands: [2], size: 1, expand: ([csr, imm], col) => [['csrrsi', registerOperand(0, col), csr, imm]] },
+    'csrci': { operands: [2], size: 1, expand: ([csr, imm], col) => [['csrrci', registerOperand(0, col), csr, imm]] },
+    
+    'call': { operands: [1], size: 2, expand: ([target], col, address, symbols) => {
+        const { hi, lo } = splitImmediate(resolvePCRelative(target, address, symbols));
+        return [
+            ['auipc', registerOperand(1, col), immediateOperand(hi, target.column)],
+            ['jalr', registerOperand(1, col), registerOperand(1, col), immediateOperand(lo, target.column)]
+        ];
+    } },
+    'tail': { operands: [1], size: 2, expand: ([target], col, address, symbols) => {
+        const { hi, lo } = splitImmediate(resolvePCRelative(target, address, symbols));
+        return [
+            ['auipc', registerOperand(6, col), immediateOperand(hi, target.column)],
+            ['jalr', registerOperand(0, col), registerOperand(6, col), immediateOperand(lo, target.column)]
+        ];
+    } }
+};
+
+/**
+ * Obtener la definición de pseudoinstrucción que corresponde a una instrucción
+ * jal y jalr son instrucciones reales salvo cuando llevan un solo operando, y
+ * las cargas salvo cuando su operando de memoria es una etiqueta
+ * @param {Object} instruction - Instrucción parseada
+ * @returns {Object|null} - Definición de PSEUDO_INSTRUCTIONS o null si es real
+ */
+function getPseudoInstruction(instruction) {
+    const pseudo = PSEUDO_INSTRUCTIONS[instruction.mnemonic];
+    
+    if (!pseudo) {
+        return null;
+    }
+    if (Object.hasOwn(OPCODES, instruction.mnemonic) &&
+        (!pseudo.operands.includes(instruction.operands.length) || (pseudo.when && !pseudo.when(instruction.operands)))) {
+        return null;
+    }
+    
+    checkOperandCount(instruction, ...pseudo.operands);
+    return pseudo;
+}
+
+/**
+ * Obtener el número de instrucciones reales que ocupa una instrucción
+ * @param {Object} instruction - Instrucción parseada
+ * @returns {number} - Número de palabras de 32 bits
+ */
+function getInstructionSize(instruction) {
+    const pseudo = getPseudoInstruction(instruction);
+    
+    if (!pseudo) {
+        return 1;
+    }
+    return pseudo.size !== undefined
+        ? pseudo.size
+        : pseudo.expand(instruction.operands, instruction.column).length;
+}
+
+/**
+ * Expandir una instrucción a las instrucciones reales que la implementan
+ * @param {Object} instruction - Instrucción parseada
+ * @param {number} address - Dirección de la primera instrucción
+ * @param {Object} symbols - Tabla de símbolos
+ * @returns {Array} - Instrucciones parseadas reales (la misma si no es pseudo)
+ */
+function expandInstruction(instruction, address, symbols) {
+    const pseudo = getPseudoInstruction(instruction);
+    
+    if (!pseudo) {
+        return [instruction];
+    }
+    
+    return pseudo.expand(instruction.operands, instruction.column, address, symbols)
+        .map(([mnemonic, ...operands]) => {
+            const expanded = { mnemonic, operands, column: instruction.column };
+            expanded.source = formatInstruction(expanded);
+            return expanded;
+        });
+}
+
+/**
+ * Escribir una instrucción parseada como texto (para mostrar las expansiones)
+ * @param {Object} instruction - Instrucción parseada
+ * @returns {string} - Texto de la instrucción (ej: "addi x5, x5, 8")
+ */
+function formatInstruction(instruction) {
+    const isUpper = instruction.mnemonic === 'lui' || instruction.mnemonic === 'auipc';
+    
+    const operands = instruction.operands.map(operand => {
+        switch (operand.type) {
+            case 'register':
+                return `x${operand.value}`;
+            case 'immediate':
+                return isUpper ? `0x${(operand.value >>> 0).toString(16)}` : `${operand.value}`;
+            case 'label':
+                return operand.name;
+            case 'memory':
+                return `${operand.offset ? formatInstruction({ mnemonic: '', operands: [operand.offset] }) : ''}(x${operand.base.value})`;
+        }
+    });
+    
+    return `${instruction.mnemonic} ${operands.join(', ')}`.trim();
+}
+
+// ============================================
+// DIRECTIVAS DEL ENSAMBLADOR
+// ============================================
+
+/**
+ * Directivas que reservan valores enteros: tamaño de cada valor y rango admitido
+ */
+const DATA_DIRECTIVES = {
+    '.word': { size: 4, min: -(2 ** 31), max: 2 ** 32 - 1 },
+    '.half': { size: 2, min: -(2 ** 15), max: 2 ** 16 - 1 },
+    '.byte': { size: 1, min: -(2 ** 7), max: 2 ** 8 - 1 }
+};
+
+/**
+ * Comprobar si una línea parseada es una directiva (.data, .word, ...)
+ * @param {Object} instruction - Instrucción parseada
+ * @returns {boolean}
+ */
+function isDirective(instruction) {
+    return instruction.mnemonic.startsWith('.');
+}
+
+/**
+ * Obtener los bytes de un operando de cadena
+ * @param {Object} directive - Directiva parseada
+ * @param {number} index - Posición del operando
+ * @returns {Array} - Bytes de la cadena
+ */
+function expectString(directive, index) {
+    const operand = getOperand(directive, index);
+    
+    if (operand.type !== 'string') {
+        throw new AssemblyError(`El operando ${index + 1} de ${directive.mnemonic} debe ser una cadena entre comillas`, operand.column);
+    }
+    return operand.bytes;
+}
+
+/**
+ * Calcular cuántos bytes ocupa una directiva del segmento de datos
+ * @param {Object} directive - Directiva parseada
+ * @param {number} address - Dirección donde empieza (para .align)
+ * @returns {number} - Tamaño en bytes
+ */
+function getDirectiveSize(directive, address) {
+    const { mnemonic, operands } = directive;
+    
+    if (Object.hasOwn(DATA_DIRECTIVES, mnemonic)) {
+        if (operands.length === 0) {
+            throw new AssemblyError(`${mnemonic} necesita al menos un valor`, directive.column + mnemonic.length);
+        }
+        return operands.length * DATA_DIRECTIVES[mnemonic].size;
+    }
+    
+    switch (mnemonic) {
+        case '.ascii':
+            checkOperandCount(directive, 1);
+            return expectString(directive, 0).length;
+        case '.asciz':
+        case '.string':
+            checkOperandCount(directive, 1);
+            return expectString(directive, 0).length + 1; // Terminador nulo
+        case '.space':
+        case '.zero':
+            checkOperandCount(directive, 1);
+            return expectImmediate(directive, 0, 0, processor.config.memorySize);
+        case '.align': {
+            // Rellenar con ceros hasta el siguiente múltiplo de 2^n
+            checkOperandCount(directive, 1);
+            const alignment = 2 ** expectImmediate(directive, 0, 0, 12);
+            return (alignment - address % alignment) % alignment;
+        }
+    }
+    
+    throw new AssemblyError(`Directiva desconocida "${mnemonic}"`, directive.column);
+}
+
+/**
+ * Generar los bytes de una directiva del segmento de datos (little-endian)
+ * @param {Object} directive - Directiva parseada
+ * @param {number} size - Tamaño calculado en la primera pasada
+ * @param {Object} symbols - Tabla de símbolos (.word admite etiquetas)
+ * @returns {Array} - Bytes a cargar en la memoria de datos
+ */
+function emitDirective(directive, size, symbols) {
+    const { mnemonic, operands } = directive;
+    
+    if (Object.hasOwn(DATA_DIRECTIVES, mnemonic)) {
+        const { size: width, min, max } = DATA_DIRECTIVES[mnemonic];
+        const bytes = [];
+        
+        operands.forEach(operand => {
+            let value;
+            if (operand.type === 'label' && mnemonic === '.word') {
+                if (!Object.hasOwn(symbols, operand.name)) {
+                    throw new AssemblyError(`Etiqueta no definida: "${operand.name}"`, operand.column, 'undefined-label');
+                }
+                value = symbols[operand.name];
+            } else if (operand.type === 'immediate') {
+                checkImmediateRange(operand.value, min, max, operand.column);
+                value = operand.value;
+            } else {
+                throw new AssemblyError(`${mnemonic} solo admite valores inmediatos` +
+                    (mnemonic === '.word' ? ' o etiquetas' : ''), operand.column);
+            }
+            
+            for (let i = 0; i < width; i++) {
+                bytes.push((value >>> (i * 8)) & 0xFF);
+            }
+        });
+        return bytes;
+    }
+    
+    if (mnemonic === '.ascii' || mnemonic === '.asciz' || mnemonic === '.string') {
+        const bytes = expectString(directive, 0);
+        return mnemonic === '.ascii' ? bytes : [...bytes, 0];
+    }
+    
+    // .space, .zero y .align reservan bytes a cero
+    return Array(size).fill(0);
+}
+
+/**
+ * Cargar el segmento de datos en la memoria, que queda a cero en el resto
+ */
+function loadDataSegment() {
+    processor.memory = new Uint8Array(processor.config.memorySize);
+    
+    processor.data.forEach(({ address, bytes }) => {
+        processor.memory.set(bytes, address);
+    });
+}
+
+// ============================================
+// ENSAMBLADO DEL PROGRAMA
+// ============================================
+
+/**
+ * Ensamblar el programa completo a código máquina en dos pasadas:
+ * la primera asigna direcciones en cada segmento y define las etiquetas, la
+ * segunda expande las pseudoinstrucciones, codifica y genera los datos con
+ * todas las etiquetas ya conocidas
+ */
+function assembleProgram() {
+    const symbols = {};
+    const dataSymbols = {};
+    const errors = [];
+    const pending = [];
+    const pendingData = [];
+    
+    // Primera pasada: separar etiquetas y asignar direcciones
+    const addresses = { text: processor.config.textBase, data: processor.config.dataBase };
+    let segment = 'text';
+    
+    processor.instructions.forEach((text, line) => {
+        let parsed;
+        try {
+            parsed = parseLine(text);
+        } catch (error) {
+            errors.push({ line, column: error.column, message: error.message, code: error.code });
+            return;
+        }
+        
+        // Las directivas de sección cambian el segmento antes de definir las etiquetas
+        const instruction = parsed.instruction;
+        if (instruction && (instruction.mnemonic === '.text' || instruction.mnemonic === '.data')) {
+            try {
+                checkOperandCount(instruction, 0);
+                segment = instruction.mnemonic.substring(1);
+            } catch (error) {
+                errors.push({ line, column: error.column, message: error.message });
+            }
+        }
+        
+        parsed.labels.forEach(({ name, column }) => {
+            if (isRegisterName(name)) {
+                errors.push({ line, column, message: `"${name}" es un registro y no puede usarse como etiqueta` });
+            } else if (Object.hasOwn(symbols, name)) {
+                errors.push({ line, column, message: `Etiqueta duplicada: "${name}"` });
+            } else {
+                symbols[name] = addresses[segment];
+                if (segment === 'data') {
+                    dataSymbols[name] = addresses[segment];
+                }
+            }
+        });
+        
+        if (!instruction || instruction.mnemonic === '.text' || instruction.mnemonic === '.data') {
+            return;
+        }
+        
+        // .globl solo tiene sentido con varios ficheros; se acepta y se ignora
+        if (instruction.mnemonic === '.globl' || instruction.mnemonic === '.global') {
+            return;
+        }
+        
+        if (segment === 'data') {
+            const item = { line, address: addresses.data, directive: instruction, size: 0, error: null };
+            try {
+                if (!isDirective(instruction)) {
+                    throw new AssemblyError('Las instrucciones deben ir en la sección .text', instruction.column);
+                }
+                item.size = getDirectiveSize(instruction, addresses.data);
+            } catch (error) {
+                item.error = error;
+            }
+            
+            pendingData.push(item);
+            addresses.data += item.size;
+            return;
+        }
+        
+        // Cada instrucción real ocupa 4 bytes; una pseudoinstrucción puede ocupar varias
+        const item = { line, address: addresses.text, instruction, size: 1, error: null };
+        try {
+            if (instruction.mnemonic === '.word') {
+                // Palabras de código escritas a mano (ej: una instrucción ilegal)
+                item.size = getDirectiveSize(instruction, addresses.text) / 4;
+            } else if (isDirective(instruction)) {
+                getDirectiveSize(instruction, addresses.text); // Directiva desconocida
+                throw new AssemblyError(`La directiva ${instruction.mnemonic} solo puede usarse en la sección .data`, instruction.column);
+            } else {
+                item.size = getInstructionSize(instruction);
+            }
+        } catch (error) {
+            item.error = error;
+        }
+        
+        pending.push(item);
+        addresses.text += item.size * 4;
+    });
+    
+    // Segunda pasada: expandir y codificar con las etiquetas ya resueltas
+    processor.program = [];
+    
+    pending.forEach(({ line, address, instruction, size, error }) => {
+        let expanded = null;
+        let words = null;
+        
+        if (!error) {
+            try {
+                if (instruction.mnemonic === '.word') {
+                    const bytes = emitDirective(instruction, size * 4, symbols);
+                    words = Array.from({ length: size }, (_, i) =>
+                        (bytes[i * 4] | bytes[i * 4 + 1] << 8 | bytes[i * 4 + 2] << 16 | bytes[i * 4 + 3] << 24) >>> 0);
+                    expanded = words.map(word => ({ source: `.word ${formatHex(word)}` }));
+                } else {
+                    expanded = expandInstruction(instruction, address, symbols);
+                    words = expanded.map((real, i) => encodeInstruction(real, address + i * 4, symbols));
+                }
+            } catch (encodeError) {
+                error = encodeError;
+            }
+        }
+        
+        if (error) {
+            errors.push({ line, column: error.column, message: error.message, code: error.code });
+        }
+        
+        // Una entrada por cada palabra, para que fetchInstruction pueda indexar por dirección
+        const isPseudo = expanded !== null && expanded[0] !== instruction;
+        for (let i = 0; i < size; i++) {
+            processor.program.push({
+                line,
+                address: address + i * 4,
+                source: expanded ? expanded[i].source : instruction.source,
+                pseudo: isPseudo ? instruction.source : null,
+                word: words ? words[i] : null,
+                error: error ? error.message : null
+            });
+        }
+    });
+    
+    // Generar los bytes del segmento de datos
+    processor.data = [];
+    
+    pendingData.forEach(({ line, address, directive, size, error }) => {
+        let bytes = [];
+        
+        if (!error) {
+            try {
+                bytes = emitDirective(directive, size, symbols);
+                if (address + size > processor.config.memorySize) {
+                    throw new AssemblyError(`Los datos no caben en la memoria de datos (${processor.config.memorySize} bytes)`, directive.column);
+                }
+            } catch (emitError) {
+                error = emitError;
+            }
+        }
+        
+        if (error) {
+            errors.push({ line, column: error.column, message: error.message, code: error.code });
+        } else {
+            processor.data.push({ line, address, bytes });
+        }
+    });
+    
+    processor.symbols = symbols;
+    processor.dataSymbols = dataSymbols;
+    processor.assemblyErrors = errors.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Obtener el rango de memoria de cada etiqueta de .data: desde su dirección
+ * hasta la siguiente etiqueta de datos o, la última, hasta el final de los datos
+ * @returns {Array} - [{ label, start, end }] ordenados por dirección (end excluido)
+ */
+function getDataSymbolRanges() {
+    const labels = Object.entries(processor.dataSymbols).sort((a, b) => a[1] - b[1]);
+    const dataEnd = processor.data.reduce((max, { address, bytes }) => Math.max(max, address + bytes.length), 0);
+    
+    return labels.map(([label, start]) => {
+        const next = labels.find(([, address]) => address > start);
+        return { label, start, end: next ? next[1] : Math.max(start, dataEnd) };
+    });
+}
+
+/**
+ * Formatear un error de ensamblado con su línea y columna
+ * @param {Object} error - Error { line, column, message }
+ * @returns {string} - Texto del error (ej: "Línea 3, columna 9: ...")
+ */
+function formatAssemblyError(error) {
+    return `Línea ${error.line + 1}, columna ${error.column}: ${error.message}`;
+}
+
+/**
+ * Buscar la instrucción almacenada en una dirección de código
+ * @param {number} address - Dirección en bytes
+ * @returns {Object|null} - Entrada del programa o null si no hay instrucción
+ */
+function fetchInstruction(address) {
+    const offset = address - processor.config.textBase;
+    
+    if (offset % 4 !== 0) {
+        return null;
+    }
+    return processor.program[offset / 4] || null;
+}
+
+/**
+ * Cambiar la dirección base del segmento de código (reensambla y reinicia)
+ * @param {number} address - Nueva dirección base, múltiplo de 4
+ */
+function setTextBase(address) {
+    processor.config.textBase = address;
+    assembleProgram();
+    resetProcessor();
+}
+
+/**
+ * Formatear una palabra como hexadecimal de 8 dígitos
+ * @param {number} word - Palabra de 32 bits
+ * @returns {string} - Texto con formato 0x00000000
+ */
+function formatHex(word) {
+    return '0x' + (word >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Formatear una palabra en binario separando los campos de su formato
+ * @param {number} word - Palabra de instrucción
+ * @returns {string} - Bits agrupados por campo (ej: "0000000 00010 00001 000 00011 0110011")
+ */
+function formatBinaryFields(word) {
+    const fieldWidths = {
+        R: [7, 5, 5, 3, 5, 7],
+        I: [12, 5, 3, 5, 7],
+        S: [7, 5, 5, 3, 5, 7],
+        B: [1, 6, 5, 5, 3, 4, 1, 7],
+        U: [20, 5, 7],
+        J: [1, 10, 1, 8, 5, 7]
+    };
+    
+    const bits = (word >>> 0).toString(2).padStart(32, '0');
+    const widths = fieldWidths[getInstructionFormat(word & 0x7F)] || [32];
+    
+    let position = 0;
+    return widths.map(width => {
+        const field = bits.substr(position, width);
+        position += width;
+        return field;
+    }).join(' ');
+}
+
+// ============================================
+// MEMORIA DE DATOS
+// ============================================
+
+/**
+ * Obtener el ancho de un acceso a memoria a partir de funct3
+ * @param {number} funct3 - Campo funct3 de la instrucción load/store
+ * @returns {Object} - Tamaño en bytes y si el valor leído se extiende en signo
+ */
+function getAccessWidth(funct3) {
+    const widths = {
+        0b000: { size: 1, signed: true },  // LB / SB
+        0b001: { size: 2, signed: true },  // LH / SH
+        0b010: { size: 4, signed: true },  // LW / SW
+        0b100: { size: 1, signed: false }, // LBU
+        0b101: { size: 2, signed: false }  // LHU
+    };
+    
+    return widths[funct3] || widths[0b010];
+}
+
+/**
+ * Verificar que un acceso cae completamente dentro de la memoria o de un dispositivo de E/S
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes del acceso
+ * @param {boolean} write - El acceso es una escritura
+ */
+function checkMemoryAccess(address, size, write = false) {
+    if (address >= MMIO_BASE) {
+        const device = findDevice(address, size);
+        
+        if (!device) {
+            throw new RangeError(`acceso de ${size} byte(s) en ${formatHex(address)}: no hay ningún dispositivo de E/S en esa dirección`);
+        }
+        if (write && device.readOnly) {
+            throw new RangeError(`${device.name} (${formatHex(address)}) es de solo lectura`);
+        }
+        return;
+    }
+    
+    if (address < 0 || address + size > processor.memory.length) {
+        throw new RangeError(
+            `acceso de ${size} byte(s) en ${formatHex(address)} fuera de la memoria ` +
+            `[0x00000000 - ${formatHex(processor.memory.length - 1)}]`
+        );
+    }
+}
+
+/**
+ * Leer un valor de 1, 2 o 4 bytes de la memoria (little-endian)
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes a leer
+ * @param {boolean} signed - Extender el signo (true) o con ceros (false)
+ * @returns {number} - Valor leído como entero de 32 bits
+ */
+function readMemory(address, size, signed) {
+    checkMemoryAccess(address, size);
+    
+    // El byte menos significativo está en la dirección más baja
+    let value = 0;
+    for (let i = size - 1; i >= 0; i--) {
+        value = (value << 8) | loadByte(address + i);
+    }
+    
+    const shift = 32 - size * 8;
+    return signed ? (value << shift) >> shift : (value << shift) >>> shift;
+}
+
+/**
+ * Escribir un valor de 1, 2 o 4 bytes en la memoria (little-endian)
+ * Solo se modifican los bytes direccionados
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes a escribir
+ * @param {number} value - Valor a escribir (se toman sus bytes bajos)
+ */
+function writeMemory(address, size, value) {
+    checkMemoryAccess(address, size, true);
+    writeBytes(address, size, value);
+}
+
+/**
+ * Escribir bytes sin comprobar el acceso (también en registros de solo lectura)
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes a escribir
+ * @param {number} value - Valor a escribir (se toman sus bytes bajos)
+ */
+function writeBytes(address, size, value) {
+    // Guardar los bytes anteriores para poder deshacer la escritura
+    if (processor.historyRecord) {
+        for (let i = 0; i < size; i++) {
+            processor.historyRecord.memory.push([address + i, loadByte(address + i)]);
+        }
+    }
+    
+    for (let i = 0; i < size; i++) {
+        storeByte(address + i, (value >>> (i * 8)) & 0xFF);
+    }
+}
+
+/**
+ * Leer un byte de la memoria de datos o de los registros de E/S
+ * @param {number} address - Dirección del byte (ya comprobada)
+ * @returns {number}
+ */
+function loadByte(address) {
+    return address >= MMIO_BASE ? processor.mmio[address - MMIO_BASE] : processor.memory[address];
+}
+
+/**
+ * Escribir un byte en la memoria de datos o en los registros de E/S, sin guardarlo en el historial
+ * @param {number} address - Dirección del byte (ya comprobada)
+ * @param {number} value - Byte a escribir
+ */
+function storeByte(address, value) {
+    if (address >= MMIO_BASE) {
+        processor.mmio[address - MMIO_BASE] = value;
+    } else {
+        processor.memory[address] = value;
+    }
+}
+
+/**
+ * Leer el dato de una instrucción de carga
+ * A diferencia de readMemory, pasa por la caché de datos y avisa al
+ * dispositivo de E/S leído (ej: el teclado da la tecla por leída)
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes a leer
+ * @param {boolean} signed - Extender el signo (true) o con ceros (false)
+ * @returns {number} - Valor leído como entero de 32 bits
+ */
+function loadMemory(address, size, signed) {
+    const value = readMemory(address, size, signed);
+    accessCache(address, false);
+    
+    const device = address >= MMIO_BASE ? findDevice(address, size) : null;
+    if (device && device.onRead) {
+        device.onRead(device, address - MMIO_BASE - device.offset, size);
+    }
+    return value;
+}
+
+/**
+ * Escribir el dato de una instrucción de almacenamiento
+ * A diferencia de writeMemory, pasa por la caché de datos
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes a escribir
+ * @param {number} value - Valor a escribir
+ */
+function storeMemory(address, size, value) {
+    writeMemory(address, size, value);
+    accessCache(address, true);
+}
+
+/**
+ * Nombre de una dirección para el log: MEM[dirección] o el dispositivo de E/S
+ * @param {number} address - Dirección del acceso
+ * @returns {string}
+ */
+function formatMemoryLocation(address) {
+    const device = address >= MMIO_BASE ? findDevice(address, 1) : null;
+    return device ? `${device.name}[${formatHex(address)}]` : `MEM[${address}]`;
+}
+
+/**
+ * Cambiar el tamaño de la memoria de datos (reinicia el procesador)
+ * @param {number} size - Nuevo tamaño en bytes
+ */
+function setMemorySize(size) {
+    processor.config.memorySize = size;
+    assembleProgram();
+    resetProcessor();
+}
+
+/**
+ * Cambiar el repertorio de instrucciones (reensambla el programa y reinicia)
+ * @param {string} isa - Perfil de ISA_PROFILES ('RV32I' o 'RV32IM')
+ */
+function setISA(isa) {
+    processor.config.isa = isa;
+    assembleProgram();
+    resetProcessor();
+}
+
+// ============================================
+// DISPOSITIVOS DE E/S MAPEADOS EN MEMORIA
+// ============================================
+
+/**
+ * Comienzo de la zona de E/S: las direcciones desde aquí hasta 0xFFFFFFFF
+ * corresponden a los dispositivos y no a la memoria de datos
+ */
+const MMIO_BASE = 0xFFFF0000;
+
+/**
+ * Tamaño de processor.mmio: bytes de registros de todos los dispositivos
+ */
+const MMIO_STORAGE_SIZE = 0x2000;
+
+/**
+ * Lado en píxeles de la pantalla de mapa de bits (una palabra 0x00RRGGBB por píxel)
+ */
+const BITMAP_SIZE = 32;
+
+/**
+ * Dispositivos virtuales: { id, name, offset, size, readOnly, onRead }
+ * offset es la distancia desde MMIO_BASE; onRead, si existe, se llama tras
+ * cada carga del programa con el desplazamiento y el tamaño del acceso dentro
+ * del dispositivo. Un dispositivo nuevo solo necesita su entrada aquí y su
+ * panel en la interfaz
+ */
+const MMIO_DEVICES = [
+    // Bits 0-15: un LED por bit
+    { id: 'leds', name: 'LEDs', offset: 0x0000, size: 4, readOnly: false },
+    
+    // Bits 0-15: un interruptor por bit, los cambia el usuario
+    { id: 'switches', name: 'Interruptores', offset: 0x0004, size: 4, readOnly: true },
+    
+    // Un byte por dígito (el byte 0 es el de la derecha): bits 0-6 = segmentos a-g, bit 7 = punto
+    { id: 'sevenSegment', name: 'Display de 7 segmentos', offset: 0x0008, size: 4, readOnly: false },
+    
+    // +0: control (bit 0 = hay una tecla sin leer), +4: código de la tecla.
+    // Leer el código deja el control a cero
+    {
+        id: 'keyboard',
+        name: 'Teclado',
+        offset: 0x000C,
+        size: 8,
+        readOnly: true,
+        onRead: (device, offset, size) => {
+            if (offset + size > 4) {
+                writeBytes(MMIO_BASE + device.offset, 4, 0);
+            }
+        }
+    },
+    
+    // Píxeles por filas desde la esquina superior izquierda
+    { id: 'bitmap', name: 'Pantalla', offset: 0x1000, size: BITMAP_SIZE * BITMAP_SIZE * 4, readOnly: false }
+];
+
+/**
+ * Buscar el dispositivo que contiene completo un acceso
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes del acceso
+ * @returns {Object|null} - Dispositivo de MMIO_DEVICES
+ */
+function findDevice(address, size) {
+    const offset = address - MMIO_BASE;
+    return MMIO_DEVICES.find(device => offset >= device.offset && offset + size <= device.offset + device.size) || null;
+}
+
+/**
+ * Obtener la dirección de un dispositivo
+ * @param {string} id - Identificador del dispositivo (ej: 'leds')
+ * @returns {number}
+ */
+function getDeviceAddress(id) {
+    return MMIO_BASE + MMIO_DEVICES.find(device => device.id === id).offset;
+}
+
+/**
+ * Cambiar la posición de los interruptores
+ * Es una entrada externa: no se guarda en el historial
+ * @param {number} value - Un bit por interruptor
+ */
+function setSwitches(value) {
+    writeBytes(getDeviceAddress('switches'), 4, value & 0xFFFF);
+}
+
+/**
+ * Pulsar una tecla: deja su código en el teclado y marca que hay una tecla sin leer
+ * Si el programa no había leído la anterior, se pierde
+ * @param {number} code - Código de la tecla (ej: ASCII)
+ */
+function pressKey(code) {
+    const address = getDeviceAddress('keyboard');
+    writeBytes(address + 4, 4, code);
+    writeBytes(address, 4, 1);
+}
+
+// ============================================
+// CACHÉ DE DATOS
+// ============================================
+
+/**
+ * Políticas de reemplazo: nombre → descripción
+ */
+const CACHE_REPLACEMENT_POLICIES = {
+    LRU: 'Menos usada recientemente',
+    FIFO: 'Primera en entrar',
+    random: 'Aleatoria'
+};
+
+/**
+ * Políticas de escritura: nombre → descripción
+ * Con write-back los almacenamientos asignan línea y la marcan como sucia;
+ * con write-through van siempre a memoria y un fallo no asigna línea
+ */
+const CACHE_WRITE_POLICIES = {
+    'write-back': 'Write-back con asignación en escritura',
+    'write-through': 'Write-through sin asignación en escritura'
+};
+
+/**
+ * Crear la configuración inicial de la caché (desactivada)
+ * Los tamaños son potencias de dos, en bytes
+ * @returns {Object} - { enabled, size, blockSize, associativity, replacement, writePolicy, hitTime, missPenalty }
+ */
+function createCacheConfig() {
+    return {
+        enabled: false,
+        size: 256,
+        blockSize: 16,
+        associativity: 1,
+        replacement: 'LRU',
+        writePolicy: 'write-back',
+        
+        // Ciclos de un acierto y ciclos extra de un fallo, para estimar el AMAT
+        hitTime: 1,
+        missPenalty: 20
+    };
+}
+
+/**
+ * Crear la caché vacía para una configuración
+ * La caché solo guarda el estado de cada línea (válida, sucia, etiqueta): los
+ * datos se siguen leyendo y escribiendo en processor.memory
+ * @param {Object} config - Configuración de la caché
+ * @returns {Object} - { sets, stats, time, seed, lastAccess }
+ */
+function createCacheState(config) {
+    const setCount = config.size / (config.blockSize * config.associativity);
+    
+    return {
+        sets: Array.from({ length: setCount }, () =>
+            Array.from({ length: config.associativity }, () =>
+                ({ valid: false, dirty: false, tag: 0, lastUsed: 0, loadedAt: 0 }))),
+        stats: { reads: 0, writes: 0, hits: 0, misses: 0, writebacks: 0, memoryWrites: 0 },
+        
+        // Contador de accesos, para LRU y FIFO
+        time: 0,
+        
+        // Semilla del reemplazo aleatorio (se guarda para poder deshacer y repetir)
+        seed: 1,
+        
+        // Último acceso: { address, set, way, hit, write } (way -1 si no se asignó línea)
+        lastAccess: null
+    };
+}
+
+/**
+ * Cambiar la configuración de la caché (reinicia el procesador)
+ * @param {Object} changes - Campos de la configuración a cambiar
+ * @throws {RangeError} - Si los tamaños no son potencias de dos o no caben en la caché
+ */
+function setCacheConfig(changes) {
+    const config = { ...processor.config.cache, ...changes };
+    const isPowerOfTwo = (value) => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+    
+    if (![config.size, config.blockSize, config.associativity].every(isPowerOfTwo)) {
+        throw new RangeError('El tamaño, el bloque y las vías de la caché deben ser potencias de dos');
+    }
+    if (config.blockSize < 4) {
+        throw new RangeError('El bloque de la caché debe tener al menos 4 bytes (una palabra)');
+    }
+    if (config.blockSize * config.associativity > config.size) {
+        throw new RangeError(`Una caché de ${config.size} B no tiene sitio para ${config.associativity} vía(s) de bloques de ${config.blockSize} B`);
+    }
+    if (!Object.hasOwn(CACHE_REPLACEMENT_POLICIES, config.replacement) ||
+        !Object.hasOwn(CACHE_WRITE_POLICIES, config.writePolicy)) {
+        throw new RangeError('Política de la caché desconocida');
+    }
+    
+    processor.config.cache = config;
+    resetProcessor();
+}
+
+/**
+ * Dividir una dirección en etiqueta, conjunto y desplazamiento dentro del bloque
+ * @param {number} address - Dirección en bytes
+ * @returns {Object} - { tag, set, offset }
+ */
+function splitCacheAddress(address) {
+    const { blockSize } = processor.config.cache;
+    const setCount = processor.cache.sets.length;
+    const block = Math.floor(address / blockSize);
+    
+    return { tag: Math.floor(block / setCount), set: block % setCount, offset: address % blockSize };
+}
+
+/**
+ * Elegir la vía que se reemplaza en un conjunto lleno (o la primera libre)
+ * @param {Array} lines - Líneas del conjunto
+ * @returns {number} - Vía elegida
+ */
+function chooseCacheVictim(lines) {
+    const free = lines.findIndex(line => !line.valid);
+    if (free !== -1) {
+        return free;
+    }
+    
+    const cache = processor.cache;
+    switch (processor.config.cache.replacement) {
+        case 'random':
+            // Generador xorshift de 32 bits: reproducible a partir de la semilla
+            cache.seed ^= cache.seed << 13;
+            cache.seed ^= cache.seed >>> 17;
+            cache.seed ^= cache.seed << 5;
+            return (cache.seed >>> 0) % lines.length;
+        case 'FIFO':
+            return lines.reduce((oldest, line, way) => line.loadedAt < lines[oldest].loadedAt ? way : oldest, 0);
+        default: // LRU
+            return lines.reduce((oldest, line, way) => line.lastUsed < lines[oldest].lastUsed ? way : oldest, 0);
+    }
+}
+
+/**
+ * Registrar un acceso de una carga o un almacenamiento en la caché
+ * Los accesos alineados de hasta 4 bytes caen siempre en un solo bloque; los
+ * dispositivos de E/S no pasan por la caché
+ * @param {number} address - Dirección del acceso
+ * @param {boolean} write - El acceso es un almacenamiento
+ * @returns {Object|null} - Último acceso ({ address, set, way, hit, write }) o null si no hay caché
+ */
+function accessCache(address, write) {
+    const config = processor.config.cache;
+    if (!config.enabled || address >= MMIO_BASE) {
+        return null;
+    }
+    
+    const cache = processor.cache;
+    const { tag, set } = splitCacheAddress(address);
+    const lines = cache.sets[set];
+    const writeBack = config.writePolicy === 'write-back';
+    
+    cache.time++;
+    cache.stats[write ? 'writes' : 'reads']++;
+    
+    let way = lines.findIndex(line => line.valid && line.tag === tag);
+    const hit = way !== -1;
+    cache.stats[hit ? 'hits' : 'misses']++;
+    
+    // Fallo: traer el bloque, salvo en una escritura sin asignación
+    if (!hit && (!write || writeBack)) {
+        way = chooseCacheVictim(lines);
+        if (lines[way].valid && lines[way].dirty) {
+            cache.stats.writebacks++;
+        }
+        recordCacheLine(set, way);
+        lines[way] = { valid: true, dirty: false, tag, lastUsed: cache.time, loadedAt: cache.time };
+    }
+    
+    if (way !== -1) {
+        if (hit) {
+            recordCacheLine(set, way);
+        }
+        lines[way].lastUsed = cache.time;
+        lines[way].dirty = lines[way].dirty || (write && writeBack);
+    }
+    if (write && !writeBack) {
+        cache.stats.memoryWrites++;
+    }
+    
+    cache.lastAccess = { address, set, way, hit, write };
+    return cache.lastAccess;
+}
+
+/**
+ * Guardar el estado anterior de una línea para poder deshacer el acceso
+ * @param {number} set - Conjunto
+ * @param {number} way - Vía
+ */
+function recordCacheLine(set, way) {
+    if (processor.historyRecord) {
+        processor.historyRecord.cache.push([set, way, { ...processor.cache.sets[set][way] }]);
+    }
+}
+
+/**
+ * Describir para el log el acceso a la caché de la instrucción actual
+ * @param {number} address - Dirección del acceso
+ * @returns {string} - Texto a añadir al log (vacío si el acceso no pasa por la caché)
+ */
+function formatCacheAccess(address) {
+    const access = processor.cache.lastAccess;
+    
+    if (!processor.config.cache.enabled || address >= MMIO_BASE || !access) {
+        return '';
+    }
+    return ` (caché: ${access.hit ? 'acierto' : 'fallo'} en el conjunto ${access.set})`;
+}
+
+/**
+ * Calcular las estadísticas de la caché
+ * AMAT = tiempo de acierto + tasa de fallos × penalización por fallo
+ * @returns {Object} - { accesses, hits, misses, hitRate, writebacks, memoryWrites, amat }
+ */
+function getCacheStats() {
+    const { hitTime, missPenalty } = processor.config.cache;
+    const { reads, writes, hits, misses, writebacks, memoryWrites } = processor.cache.stats;
+    const accesses = reads + writes;
+    const hitRate = accesses > 0 ? hits / accesses : 0;
+    
+    return {
+        accesses,
+        reads,
+        writes,
+        hits,
+        misses,
+        hitRate,
+        writebacks,
+        memoryWrites,
+        amat: hitTime + (accesses > 0 ? misses / accesses : 0) * missPenalty
+    };
+}
+
+// ============================================
+// FUNCIONES DE LA ALU
+// ============================================
+
+/**
+ * Ejecutar operación en la ALU
+ * El resultado es siempre un entero de 32 bits en complemento a dos y la
+ * operación deja sus indicadores en processor.internals.aluFlags
+ * @param {string} op - Operación a realizar
+ * @param {number} a - Operando A
+ * @param {number} b - Operando B
+ * @param {number} funct3 - Campo funct3
+ * @param {number} funct7 - Campo funct7
+ * @returns {number} - Resultado de la operación
+ */
+function executeALU(op, a, b, funct3, funct7) {
+    // Convertir a enteros de 32 bits con signo
+    a = a | 0;
+    b = b | 0;
+    
+    let result = 0;
+    let overflow = false;
+    
+    // funct7 = 0000001: multiplicación y división (extensión M)
+    if (funct7 === 0b0000001) {
+        result = executeMulDiv(a, b, funct3);
+        processor.internals.aluFlags = { zero: result === 0, negative: result < 0, overflow: false };
+        return result;
+    }
+    
+    switch (funct3) {
+        case 0b000: // ADD/SUB
+            if (funct7 === 0b0100000) {
+                result = (a - b) | 0; // SUB
+                // Desbordamiento: operandos de distinto signo y el resultado cambia el signo de A
+                overflow = ((a ^ b) & (a ^ result)) < 0;
+            } else {
+                result = (a + b) | 0; // ADD
+                // Desbordamiento: operandos del mismo signo y resultado de signo contrario
+                overflow = ((a ^ result) & (b ^ result)) < 0;
+            }
+            break;
+            
+        case 0b001: // SLL (shift left logical)
+            result = a << (b & 0x1F);
+            break;
+            
+        case 0b010: // SLT (set less than)
+            result = a < b ? 1 : 0;
+            break;
+            
+        case 0b011: // SLTU (set less than unsigned)
+            result = (a >>> 0) < (b >>> 0) ? 1 : 0;
+            break;
+            
+        case 0b100: // XOR
+            result = a ^ b;
+            break;
+            
+        case 0b101: // SRL/SRA (shift right)
+            if (funct7 === 0b0100000) {
+                result = a >> (b & 0x1F); // SRA (arithmetic)
+            } else {
+                result = (a >>> (b & 0x1F)) | 0; // SRL (logical)
+            }
+            break;
+            
+        case 0b110: // OR
+            result = a | b;
+            break;
+            
+        case 0b111: // AND
+            result = a & b;
+            break;
+    }
+    
+    processor.internals.aluFlags = {
+        zero: result === 0,
+        negative: result < 0,
+        overflow
+    };
+    
+    return result;
+}
+
+/**
+ * Ejecutar una operación de la extensión M
+ * La división entre cero y el desbordamiento (-2^31 / -1) no provocan
+ * excepción: dan los resultados que fija la especificación
+ * @param {number} a - Operando A (32 bits con signo)
+ * @param {number} b - Operando B (32 bits con signo)
+ * @param {number} funct3 - Operación: MUL, MULH, MULHSU, MULHU, DIV, DIVU, REM o REMU
+ * @returns {number} - Resultado de 32 bits con signo
+ */
+function executeMulDiv(a, b, funct3) {
+    const INT_MIN = -0x80000000;
+    
+    // Parte alta del producto de 64 bits (con BigInt para no perder precisión)
+    const high = (x, y) => Number(BigInt.asIntN(32, (BigInt(x) * BigInt(y)) >> 32n));
+    
+    switch (funct3) {
+        case 0b000: // MUL: 32 bits bajos del producto
+            return Math.imul(a, b);
+        case 0b001: // MULH: con signo × con signo
+            return high(a, b);
+        case 0b010: // MULHSU: con signo × sin signo
+            return high(a, b >>> 0);
+        case 0b011: // MULHU: sin signo × sin signo
+            return high(a >>> 0, b >>> 0);
+        case 0b100: // DIV: cociente truncado hacia cero
+            if (b === 0) {
+                return -1;
+            }
+            return a === INT_MIN && b === -1 ? INT_MIN : Math.trunc(a / b) | 0;
+        case 0b101: // DIVU
+            return b === 0 ? -1 : Math.trunc((a >>> 0) / (b >>> 0)) | 0;
+        case 0b110: // REM: el resto tiene el signo del dividendo
+            if (b === 0) {
+                return a;
+            }
+            return a === INT_MIN && b === -1 ? 0 : (a % b) | 0;
+        case 0b111: // REMU
+            return b === 0 ? a : ((a >>> 0) % (b >>> 0)) | 0;
+    }
+    return 0;
+}
+
+/**
+ * Evaluar la condición de un salto condicional
+ * @param {number} funct3 - Campo funct3 de la instrucción
+ * @param {number} val1 - Valor de rs1
+ * @param {number} val2 - Valor de rs2
+ * @returns {boolean} - true si se toma el salto
+ */
+function evaluateBranch(funct3, val1, val2) {
+    switch (funct3) {
+        case 0b000: // BEQ (branch if equal)
+            return val1 === val2;
+        case 0b001: // BNE (branch if not equal)
+            return val1 !== val2;
+        case 0b100: // BLT (branch if less than)
+            return val1 < val2;
+        case 0b101: // BGE (branch if greater or equal)
+            return val1 >= val2;
+        case 0b110: // BLTU (branch if less than unsigned)
+            return (val1 >>> 0) < (val2 >>> 0);
+        case 0b111: // BGEU (branch if greater or equal unsigned)
+            return (val1 >>> 0) >= (val2 >>> 0);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Escribir un valor en el banco de registros
+ * x0 está cableado a cero y el valor se trunca a 32 bits con signo
+ * @param {number} rd - Registro destino
+ * @param {number} value - Valor a escribir
+ */
+function writeRegister(rd, value) {
+    if (rd !== 0) {
+        processor.registers[rd] = value | 0;
+    }
+}
+
+// ============================================
+// EJECUCIÓN DE INSTRUCCIONES
+// ============================================
+
+/**
+ * Ejecutar la instrucción actual apuntada por el PC (o un ciclo del pipeline)
+ * y guardar sus cambios en el historial
+ */
+function executeInstruction() {
+    processor.fault = null;
+    beginHistoryRecord();
+    if (processor.config.mode === 'pipeline') {
+        executePipelineCycle();
+    } else {
+        executeCycle();
+    }
+    commitHistoryRecord();
+}
+
+/**
+ * Ejecutar un ciclo del procesador: buscar, decodificar y ejecutar la instrucción del PC
+ */
+function executeCycle() {
+    // Obtener la palabra de la instrucción actual
+    const entry = fetchInstruction(processor.pc);
+    
+    // Verificar si hay instrucciones para ejecutar
+    if (!entry) {
+        addToLog('⚠ Fin del programa');
+        processor.isRunning = false;
+        return;
+    }
+    
+    if (entry.word === null) {
+        addToLog(`[${formatHex(processor.pc)}] ⚠ ${entry.error}`);
+        processor.pc += 4;
+        return;
+    }
+    
+    // Decodificar la instrucción a partir de sus 32 bits
+    const decoded = decodeInstruction(entry.word);
+    const { opcode: opcodeValue, rd, rs1, rs2, funct3, funct7, imm } = decoded;
+    const mnemonic = getMnemonic(decoded);
+    
+    processor.internals.instruction = decoded.word;
+    processor.internals.opcode = opcodeValue;
+    processor.internals.rd = rd;
+    processor.internals.rs1 = rs1;
+    processor.internals.rs2 = rs2;
+    processor.internals.funct3 = funct3;
+    processor.internals.funct7 = funct7;
+    processor.internals.imm = imm;
+    processor.internals.pc = processor.pc;
+    processor.internals.nextPC = processor.pc + 4;
+    
+    let aluResult = 0;
+    let logMessage = '';
+    let newPC = processor.pc + 4;
+    let branchTaken = false;
+    
+    // Determinar el tipo de instrucción
+    const isRType = opcodeValue === 0b0110011;
+    const isIType = opcodeValue === 0b0010011;
+    const isLoad = opcodeValue === 0b0000011;
+    const isStore = opcodeValue === 0b0100011;
+    const isBranch = opcodeValue === 0b1100011;
+    const isLUI = opcodeValue === 0b0110111;
+    const isAUIPC = opcodeValue === 0b0010111;
+    const isJAL = opcodeValue === 0b1101111;
+    const isJALR = opcodeValue === 0b1100111;
+    const isFence = opcodeValue === 0b0001111;
+    const isSystem = opcodeValue === 0b1110011;
+    
+    // ========== Instrucción ilegal ==========
+    // Opcode desconocido o campos funct3/funct7 sin instrucción asociada
+    // (ej: SLLI/SRLI con imm[11:5] ≠ 0000000, SRAI con imm[11:5] ≠ 0100000)
+    if (mnemonic === '???') {
+        raiseException(formatHex(decoded.word), getIllegalInstructionException(decoded.word));
+        return;
+    }
+    
+    // ========== TIPO R (Operaciones entre registros) ==========
+    else if (isRType) {
+        const val1 = processor.registers[rs1];
+        const val2 = processor.registers[rs2];
+        
+        // Ejecutar operación en la ALU
+        aluResult = executeALU(mnemonic, val1, val2, funct3, funct7);
+        
+        // Escribir resultado (x0 siempre es 0)
+        writeRegister(rd, aluResult);
+        
+        logMessage = `${mnemonic.toUpperCase()} x${rd}, x${rs1}, x${rs2} → x${rd} = ${aluResult}`;
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: true,
+            ALUSrc: false,
+            MemWrite: false,
+            MemRead: false,
+            MemToReg: false,
+            Branch: false,
+            Jump: false,
+            ALUOp: '10'
+        };
+        
+        // Actualizar valores internos
+        processor.internals.readData1 = val1;
+        processor.internals.readData2 = val2;
+        processor.internals.aluResult = aluResult;
+    }
+    
+    // ========== TIPO I (Operaciones con inmediatos) ==========
+    else if (isIType) {
+        const val1 = processor.registers[rs1];
+        
+        // En los desplazamientos solo imm[4:0] es el operando; imm[11:5] es funct7
+        const isShift = funct3 === 0b001 || funct3 === 0b101;
+        const operandB = isShift ? imm & 0x1F : imm;
+        
+        // Ejecutar operación en la ALU
+        aluResult = executeALU(mnemonic, val1, operandB, funct3, isShift ? funct7 : 0);
+        
+        // Escribir resultado
+        writeRegister(rd, aluResult);
+        
+        logMessage = `${mnemonic.toUpperCase()} x${rd}, x${rs1}, ${operandB} → x${rd} = ${aluResult}`;
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: true,
+            ALUSrc: true,
+            MemWrite: false,
+            MemRead: false,
+            MemToReg: false,
+            Branch: false,
+            Jump: false,
+            ALUOp: '10'
+        };
+        
+        // Actualizar valores internos
+        processor.internals.readData1 = val1;
+        processor.internals.readData2 = operandB;
+        processor.internals.aluResult = aluResult;
+    }
+    
+    // ========== TIPO L (Load - Carga desde memoria) ==========
+    else if (isLoad) {
+        const offset = imm; // Desplazamiento
+        const base = processor.registers[rs1];
+        const { size, signed } = getAccessWidth(funct3);
+        
+        // Calcular dirección de memoria (la ALU suma base + desplazamiento)
+        const addr = executeALU(mnemonic, base, offset, 0b000, 0) >>> 0;
+        
+        const exception = getMemoryException(addr, size, false);
+        if (exception) {
+            raiseException(`${mnemonic.toUpperCase()} x${rd}, ${offset}(x${rs1})`, exception);
+            return;
+        }
+        const memValue = loadMemory(addr, size, signed);
+        
+        // Cargar valor en el registro
+        writeRegister(rd, memValue);
+        
+        logMessage = `${mnemonic.toUpperCase()} x${rd}, ${offset}(x${rs1}) → x${rd} = ${formatMemoryLocation(addr)} = ${memValue}` +
+            formatCacheAccess(addr);
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: true,
+            ALUSrc: true,
+            MemWrite: false,
+            MemRead: true,
+            MemToReg: true,
+            Branch: false,
+            Jump: false,
+            ALUOp: '00'
+        };
+        
+        // Actualizar valores internos
+        processor.internals.readData1 = base;
+        processor.internals.aluResult = addr;
+        processor.internals.memData = memValue;
+    }
+    
+    // ========== TIPO S (Store - Almacenamiento en memoria) ==========
+    else if (isStore) {
+        const offset = imm; // Desplazamiento
+        
+        const { size } = getAccessWidth(funct3);
+        
+        // Calcular dirección de memoria (la ALU suma base + desplazamiento)
+        const addr = executeALU(mnemonic, processor.registers[rs1], offset, 0b000, 0) >>> 0;
+        
+        // Guardar en memoria solo los bytes que indica la instrucción
+        const exception = getMemoryException(addr, size, true);
+        if (exception) {
+            raiseException(`${mnemonic.toUpperCase()} x${rs2}, ${offset}(x${rs1})`, exception);
+            return;
+        }
+        storeMemory(addr, size, processor.registers[rs2]);
+        
+        const storedValue = readMemory(addr, size, true);
+        logMessage = `${mnemonic.toUpperCase()} x${rs2}, ${offset}(x${rs1}) → ${formatMemoryLocation(addr)} = ${storedValue}` +
+            formatCacheAccess(addr);
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: false,
+            ALUSrc: true,
+            MemWrite: true,
+            MemRead: false,
+            MemToReg: false,
+            Branch: false,
+            Jump: false,
+            ALUOp: '00'
+        };
+        
+        // Actualizar valores internos
+        processor.internals.readData1 = processor.registers[rs1];
+        processor.internals.readData2 = processor.registers[rs2];
+        processor.internals.aluResult = addr;
+    }
+    
+    // ========== TIPO B (Branch - Saltos condicionales) ==========
+    else if (isBranch) {
+        const offset = imm; // Desplazamiento del salto (en bytes)
+        
+        const val1 = processor.registers[rs1];
+        const val2 = processor.registers[rs2];
+        
+        // La ALU resta los operandos; su indicador de cero es alu_zero
+        aluResult = executeALU(mnemonic, val1, val2, 0b000, 0b0100000);
+        
+        // Evaluar condición de salto
+        const takeBranch = evaluateBranch(funct3, val1, val2);
+        branchTaken = takeBranch;
+        
+        // El predictor se actualiza antes de comprobar el destino: un salto tomado a
+        // una dirección desalineada también cuenta en su tabla y sus estadísticas
+        const prediction = resolveBranch(processor.pc, (processor.pc + offset) >>> 0, takeBranch);
+        
+        // Actualizar PC si se toma el salto
+        if (takeBranch) {
+            newPC = (processor.pc + offset) >>> 0;
+            
+            if (newPC % 4 !== 0) {
+                raiseException(`${mnemonic.toUpperCase()} x${rs1}, x${rs2}, ${offset}`, getJumpException(newPC));
+                return;
+            }
+            logMessage = `${mnemonic.toUpperCase()} x${rs1}, x${rs2}, ${offset} → SALTO TOMADO (PC = ${formatHex(newPC)})`;
+        } else {
+            logMessage = `${mnemonic.toUpperCase()} x${rs1}, x${rs2}, ${offset} → SALTO NO TOMADO`;
+        }
+        logMessage += formatPrediction(prediction);
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: false,
+            ALUSrc: false,
+            MemWrite: false,
+            MemRead: false,
+            MemToReg: false,
+            Branch: true,
+            Jump: false,
+            ALUOp: '01'
+        };
+        
+        // Actualizar valores internos
+        processor.internals.readData1 = val1;
+        processor.internals.readData2 = val2;
+        processor.internals.aluResult = aluResult;
+    }
+    
+    // ========== TIPO U (LUI / AUIPC) ==========
+    else if (isLUI || isAUIPC) {
+        // LUI suma el inmediato a 0; AUIPC lo suma a la dirección de la instrucción
+        const base = isAUIPC ? processor.pc : 0;
+        aluResult = executeALU(mnemonic, base, imm, 0b000, 0);
+        
+        writeRegister(rd, aluResult);
+        
+        logMessage = `${mnemonic.toUpperCase()} x${rd}, 0x${(imm >>> 12).toString(16)} → x${rd} = ${aluResult}`;
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: true,
+            ALUSrc: true,
+            MemWrite: false,
+            MemRead: false,
+            MemToReg: false,
+            Branch: false,
+            Jump: false,
+            ALUOp: '00'
+        };
+        
+        // Actualizar valores internos
+        processor.internals.readData1 = base;
+        processor.internals.readData2 = imm;
+        processor.internals.aluResult = aluResult;
+    }
+    
+    // ========== TIPO J y JALR (Saltos incondicionales) ==========
+    else if (isJAL || isJALR) {
+        // Dirección de retorno: la instrucción siguiente
+        const returnAddress = processor.pc + 4;
+        const instrText = isJAL
+            ? `JAL x${rd}, ${imm}`
+            : `JALR x${rd}, x${rs1}, ${imm}`;
+        
+        if (isJAL) {
+            newPC = (processor.pc + imm) >>> 0;
+        } else {
+            // El destino es rs1 + imm con el bit 0 forzado a 0
+            newPC = (executeALU(mnemonic, processor.registers[rs1], imm, 0b000, 0) & ~1) >>> 0;
+            
+            processor.internals.readData1 = processor.registers[rs1];
+            processor.internals.aluResult = newPC;
+        }
+        
+        if (newPC % 4 !== 0) {
+            raiseException(instrText, getJumpException(newPC));
+            return;
+        }
+        
+        logMessage = `${instrText} → x${rd} = ${formatHex(returnAddress)}, PC = ${formatHex(newPC)}`;
+        
+        // Escribir la dirección de retorno (después de leer rs1)
+        writeRegister(rd, returnAddress);
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: true,
+            ALUSrc: isJALR,
+            MemWrite: false,
+            MemRead: false,
+            MemToReg: false,
+            Branch: false,
+            Jump: true,
+            ALUOp: '00'
+        };
+    }
+    
+    // ========== FENCE y SYSTEM (ECALL / EBREAK / MRET / CSR) ==========
+    else if (isFence || isSystem) {
+        let regWrite = false;
+        
+        if (isFence) {
+            // Un solo hilo con memoria en orden: FENCE no tiene efecto
+            logMessage = 'FENCE → sin efecto (accesos a memoria ya ordenados)';
+        } else if (isCSRInstruction(mnemonic)) {
+            // En las variantes con inmediato el campo rs1 es el propio operando
+            const operand = funct3 & 0b100 ? rs1 : processor.registers[rs1];
+            const csr = executeCSRInstruction(mnemonic, imm & 0xFFF, rs1, operand);
+            const instrText = `${mnemonic.toUpperCase()} x${rd}, ${getCSRName(imm & 0xFFF)}, ${funct3 & 0b100 ? rs1 : `x${rs1}`}`;
+            
+            if (csr.exception) {
+                raiseException(instrText, { ...csr.exception, tval: decoded.word });
+                return;
+            }
+            writeRegister(rd, csr.value);
+            regWrite = true;
+            logMessage = `${instrText} → ${csr.message}`;
+            processor.internals.readData1 = operand;
+        } else if (mnemonic === 'mret') {
+            newPC = returnFromTrap();
+            logMessage = `MRET → PC = mepc = ${formatHex(newPC)}`;
+        } else if (mnemonic === 'ecall') {
+            const syscall = executeSyscall();
+            
+            // Sin entrada disponible la instrucción no se completa y se repite al continuar
+            if (syscall.waiting) {
+                processor.isRunning = false;
+                addToLog(`[${formatHex(processor.pc)}] ⌨ ECALL read_int: esperando una línea en la consola`);
+                return;
+            }
+            if (syscall.fault) {
+                raiseException('ECALL', { cause: 11, tval: 0, message: syscall.fault });
+                return;
+            }
+            logMessage = `ECALL → ${syscall.message}`;
+        } else {
+            processor.isRunning = false;
+            logMessage = 'EBREAK → punto de ruptura, ejecución detenida';
+        }
+        
+        // Configurar señales de control
+        processor.controlSignals = {
+            RegWrite: regWrite,
+            ALUSrc: false,
+            MemWrite: false,
+            MemRead: false,
+            MemToReg: false,
+            Branch: false,
+            Jump: false,
+            ALUOp: '00'
+        };
+    }
+    
+    // Agregar al log
+    addToLog(`[${formatHex(processor.pc)}] ${logMessage}`);
+    countInstruction(processor.pc, opcodeValue, branchTaken);
+    
+    // Actualizar PC
+    processor.internals.nextPC = newPC;
+    processor.pc = newPC;
+}
+
+/**
+ * Detener la ejecución por una instrucción que no puede completarse y para
+ * la que no hay manejador de excepciones (ver raiseException)
+ * La instrucción no se completa y el PC sigue apuntando a ella
+ * @param {string} instrText - Instrucción que provocó el fallo
+ * @param {string} reason - Descripción del fallo
+ */
+function haltOnFault(instrText, reason) {
+    processor.isRunning = false;
+    processor.fault = { address: processor.pc, message: `${instrText} → ${reason}` };
+    addToLog(`[${formatHex(processor.pc)}] ⛔ ${instrText} → ${reason}`);
+}
+
+// ============================================
+// CSR Y EXCEPCIONES (MODO MÁQUINA)
+// ============================================
+
+/**
+ * CSR implementados: nombre → número
+ */
+const CSR_NUMBERS = {
+    mstatus: 0x300,
+    mtvec: 0x305,
+    mepc: 0x341,
+    mcause: 0x342,
+    mtval: 0x343
+};
+
+/**
+ * Bits de mstatus: habilitación de interrupciones (MIE), su valor antes de la
+ * excepción (MPIE) y el modo anterior (MPP, siempre 11 = máquina)
+ */
+const MSTATUS_MIE = 1 << 3;
+const MSTATUS_MPIE = 1 << 7;
+const MSTATUS_MPP = 0b11 << 11;
+
+/**
+ * Causas de excepción (valor de mcause)
+ */
+const EXCEPTION_CAUSES = {
+    0: 'Dirección de instrucción desalineada',
+    2: 'Instrucción ilegal',
+    4: 'Carga desalineada',
+    5: 'Fallo de acceso en carga',
+    6: 'Almacenamiento desalineado',
+    7: 'Fallo de acceso en almacenamiento',
+    11: 'ECALL desde modo máquina'
+};
+
+/**
+ * Crear el estado inicial de los CSR
+ * Con mtvec = 0 no hay manejador: las excepciones detienen la ejecución
+ * @returns {Object} - Valor de cada CSR por nombre
+ */
+function createCSRState() {
+    return {
+        mstatus: 0x1800, // MPP = 11 (modo máquina)
+        mtvec: 0,
+        mepc: 0,
+        mcause: 0,
+        mtval: 0
+    };
+}
+
+/**
+ * Obtener el nombre de un CSR para mostrarlo
+ * @param {number} number - Número de CSR
+ * @returns {string} - Nombre o número en hexadecimal si no está implementado
+ */
+function getCSRName(number) {
+    return Object.keys(CSR_NUMBERS).find(name => CSR_NUMBERS[name] === number) || `0x${number.toString(16)}`;
+}
+
+/**
+ * Comprobar si un mnemónico es una instrucción de Zicsr
+ * @param {string} mnemonic - Mnemónico
+ * @returns {boolean}
+ */
+function isCSRInstruction(mnemonic) {
+    return mnemonic.startsWith('csrr');
+}
+
+/**
+ * Escribir un CSR respetando los campos que admite (WARL)
+ * mstatus solo guarda MIE y MPIE; mtvec (modo directo) y mepc quedan alineados a 4
+ * @param {string} name - Nombre del CSR
+ * @param {number} value - Valor a escribir
+ */
+function writeCSR(name, value) {
+    switch (name) {
+        case 'mstatus':
+            value = (value & (MSTATUS_MIE | MSTATUS_MPIE)) | MSTATUS_MPP;
+            break;
+        case 'mtvec':
+        case 'mepc':
+            value = value & ~3;
+            break;
+    }
+    processor.csr[name] = value >>> 0;
+}
+
+/**
+ * Ejecutar una instrucción de Zicsr: leer el CSR y escribir su nuevo valor
+ * CSRRS y CSRRC no escriben si el operando es x0 (o el inmediato 0)
+ * @param {string} mnemonic - csrrw, csrrs, csrrc o sus variantes con inmediato
+ * @param {number} number - Número de CSR
+ * @param {number} rs1 - Campo rs1 (registro o inmediato)
+ * @param {number} operand - Valor del registro rs1 o el inmediato
+ * @returns {Object} - { value, message } con el valor anterior para rd, o { exception }
+ */
+function executeCSRInstruction(mnemonic, number, rs1, operand) {
+    const name = getCSRName(number);
+    
+    if (!Object.hasOwn(CSR_NUMBERS, name)) {
+        return { exception: { cause: 2, message: `${EXCEPTION_CAUSES[2]}: el CSR ${name} no existe` } };
+    }
+    
+    const value = processor.csr[name];
+    switch (mnemonic.replace(/i$/, '')) {
+        case 'csrrw':
+            writeCSR(name, operand);
+            break;
+        case 'csrrs':
+            if (rs1 !== 0) {
+                writeCSR(name, value | operand);
+            }
+            break;
+        case 'csrrc':
+            if (rs1 !== 0) {
+                writeCSR(name, value & ~operand);
+            }
+            break;
+    }
+    
+    return { value: value | 0, message: `${name}: ${formatHex(value)} → ${formatHex(processor.csr[name])}` };
+}
+
+/**
+ * Excepción de una instrucción ilegal
+ * @param {number} word - Palabra de la instrucción (queda en mtval)
+ * @returns {Object} - { cause, tval, message }
+ */
+function getIllegalInstructionException(word) {
+    return { cause: 2, tval: word, message: EXCEPTION_CAUSES[2] };
+}
+
+/**
+ * Excepción de un salto a una dirección que no es múltiplo de 4
+ * @param {number} target - Destino del salto (queda en mtval)
+ * @returns {Object} - { cause, tval, message }
+ */
+function getJumpException(target) {
+    return { cause: 0, tval: target, message: `Destino de salto desalineado: ${formatHex(target)}` };
+}
+
+/**
+ * Comprobar un acceso a memoria de una carga o un almacenamiento
+ * @param {number} address - Dirección del primer byte
+ * @param {number} size - Número de bytes del acceso
+ * @param {boolean} write - El acceso es un almacenamiento
+ * @returns {Object|null} - Excepción { cause, tval, message } o null si el acceso es válido
+ */
+function getMemoryException(address, size, write) {
+    if (address % size !== 0) {
+        const cause = write ? 6 : 4;
+        return { cause, tval: address, message: `${EXCEPTION_CAUSES[cause]}: ${size} byte(s) en ${formatHex(address)}` };
+    }
+    
+    try {
+        checkMemoryAccess(address, size, write);
+    } catch (error) {
+        return { cause: write ? 7 : 5, tval: address, message: `Fallo de memoria: ${error.message}` };
+    }
+    return null;
+}
+
+/**
+ * Provocar una excepción en la instrucción del PC
+ * Si hay manejador (mtvec ≠ 0) se guardan el PC, la causa y el valor en mepc,
+ * mcause y mtval, se deshabilitan las interrupciones y se salta a mtvec; si no,
+ * la ejecución se detiene como un fallo
+ * @param {string} instrText - Instrucción que provocó la excepción
+ * @param {Object} exception - { cause, tval, message }
+ * @returns {boolean} - true si se saltó al manejador
+ */
+function raiseException(instrText, exception) {
+    const csr = processor.csr;
+    
+    if (csr.mtvec === 0) {
+        haltOnFault(instrText, exception.message);
+        return false;
+    }
+    
+    const interruptsEnabled = csr.mstatus & MSTATUS_MIE;
+    csr.mepc = processor.pc >>> 0;
+    csr.mcause = exception.cause;
+    csr.mtval = exception.tval >>> 0;
+    csr.mstatus = (interruptsEnabled ? MSTATUS_MPIE : 0) | MSTATUS_MPP;
+    processor.pc = csr.mtvec;
+    
+    addToLog(`[${formatHex(csr.mepc)}] ⚡ ${instrText} → ${exception.message} ` +
+        `(mcause = ${exception.cause}), salto al manejador en ${formatHex(csr.mtvec)}`);
+    return true;
+}
+
+/**
+ * Volver de un manejador (MRET): restaurar MIE desde MPIE y continuar en mepc
+ * @returns {number} - Dirección de retorno
+ */
+function returnFromTrap() {
+    const csr = processor.csr;
+    
+    csr.mstatus = (csr.mstatus & MSTATUS_MPIE ? MSTATUS_MIE : 0) | MSTATUS_MPIE | MSTATUS_MPP;
+    return csr.mepc;
+}
+
+// ============================================
+// LLAMADAS AL SISTEMA (ECALL)
+// ============================================
+
+/**
+ * Llamadas al sistema según los convenios de RARS y Venus: código en a7 → nombre
+ */
+const SYSCALLS = {
+    1: 'print_int',
+    4: 'print_string',
+    5: 'read_int',
+    9: 'sbrk',
+    10: 'exit',
+    11: 'print_char',
+    17: 'exit2', // Venus
+    93: 'exit2'  // RARS
+};
+
+/**
+ * Crear el estado inicial del entorno de ejecución (consola, montículo y salida)
+ * @returns {Object}
+ */
+function createEnvironment() {
+    return {
+        // Texto escrito en la consola por el programa (y el eco de las entradas)
+        output: '',
+        
+        // Líneas escritas por el usuario y cuántas ha consumido el programa
+        input: [],
+        inputPosition: 0,
+        
+        // Final del montículo de sbrk (null hasta la primera llamada)
+        heap: null,
+        
+        // Código de salida de exit (null mientras el programa no termine)
+        exitCode: null,
+        
+        // read_int está esperando una línea de entrada
+        waitingInput: false
+    };
+}
+
+/**
+ * Obtener la dirección donde empieza el montículo: la primera palabra tras los datos
+ * @returns {number}
+ */
+function getHeapStart() {
+    const end = processor.data.reduce((max, { address, bytes }) => Math.max(max, address + bytes.length),
+        processor.config.dataBase);
+    
+    return (end + 3) & ~3;
+}
+
+/**
+ * Leer de la memoria una cadena terminada en cero (UTF-8)
+ * @param {number} address - Dirección del primer carácter
+ * @returns {string}
+ */
+function readString(address) {
+    const bytes = [];
+    
+    for (let byte = readMemory(address, 1, false); byte !== 0; byte = readMemory(address, 1, false)) {
+        bytes.push(byte);
+        address++;
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * Ejecutar la llamada al sistema indicada en a7 con el argumento de a0
+ * @returns {Object} - { message } si se completó, { fault } si no puede completarse
+ *                     o { waiting: true } si read_int no tiene ninguna línea de entrada válida
+ */
+function executeSyscall() {
+    const environment = processor.environment;
+    const a0 = processor.registers[10];
+    const code = processor.registers[17];
+    
+    try {
+        switch (code) {
+            case 1: // print_int
+                environment.output += String(a0);
+                return { message: `print_int(${a0})` };
+                
+            case 4: { // print_string
+                const text = readString(a0);
+                environment.output += text;
+                return { message: `print_string(${formatHex(a0)}) → ${JSON.stringify(text)}` };
+            }
+                
+            case 11: { // print_char
+                const char = String.fromCharCode(a0 & 0xFF);
+                environment.output += char;
+                return { message: `print_char(${JSON.stringify(char)})` };
+            }
+                
+            case 5: { // read_int
+                // Las líneas que no son un entero se rechazan en la consola y se sigue esperando
+                while (environment.inputPosition < environment.input.length) {
+                    const line = environment.input[environment.inputPosition];
+                    environment.inputPosition++;
+                    environment.output += line + '\n'; // Eco de la entrada, como en un terminal
+                    
+                    let value;
+                    try {
+                        value = parseValue(line);
+                    } catch (error) {
+                        environment.output += `⛔ ${error.message}: escribe un entero\n`;
+                        continue;
+                    }
+                    
+                    environment.waitingInput = false;
+                    writeRegister(10, value);
+                    return { message: `read_int() → a0 = ${value}` };
+                }
+                
+                environment.waitingInput = true;
+                return { waiting: true };
+            }
+                
+            case 9: { // sbrk
+                const start = environment.heap === null ? getHeapStart() : environment.heap;
+                const end = start + a0;
+                
+                if (end > processor.memory.length || end < getHeapStart()) {
+                    return { fault: `sbrk(${a0}): el montículo quedaría fuera de la memoria de datos` };
+                }
+                environment.heap = (end + 3) & ~3; // El siguiente bloque empieza alineado
+                writeRegister(10, start);
+                return { message: `sbrk(${a0}) → a0 = ${formatHex(start)}` };
+            }
+                
+            case 10: // exit
+            case 17: // exit2 (Venus)
+            case 93: { // exit2 (RARS)
+                environment.exitCode = code === 10 ? 0 : a0;
+                processor.isRunning = false;
+                return { message: `${SYSCALLS[code]}(${environment.exitCode}) → programa terminado` };
+            }
+                
+            default:
+                return { fault: `Llamada al sistema desconocida (a7 = ${code})` };
+        }
+    } catch (error) {
+        return { fault: `${SYSCALLS[code]}: ${error.message}` };
+    }
+}
+
+// ============================================
+// PREDICCIÓN DE SALTOS
+// ============================================
+
+/**
+ * Predictores disponibles: nombre → descripción
+ */
+const BRANCH_PREDICTORS = {
+    'not-taken': 'Estático: nunca se toma',
+    btfn: 'Estático: hacia atrás se toma, hacia delante no (BTFN)',
+    'one-bit': 'Dinámico de 1 bit',
+    'two-bit': 'Contadores saturados de 2 bits',
+    gshare: 'gshare (historia global XOR PC)'
+};
+
+/**
+ * Crear la configuración inicial del predictor (desactivado)
+ * @returns {Object} - { enabled, type, tableSize, mispredictPenalty }
+ */
+function createPredictorConfig() {
+    return {
+        enabled: false,
+        type: 'two-bit',
+        
+        // Entradas de la tabla de predicción (potencia de dos)
+        tableSize: 16,
+        
+        // Ciclos perdidos por predicción fallida (en el pipeline el salto se resuelve en EX)
+        mispredictPenalty: 2
+    };
+}
+
+/**
+ * Crear el predictor vacío para una configuración
+ * Cada entrada es un bit (1 = tomado) en el predictor de 1 bit o un contador
+ * de 0 a 3 (tomado si vale 2 o más) en los de 2 bits y gshare; empiezan en
+ * "no tomado" y "débilmente no tomado"
+ * @param {Object} config - Configuración del predictor
+ * @returns {Object} - { table, history, stats, lastPrediction }
+ */
+function createPredictorState(config) {
+    return {
+        table: Array(config.tableSize).fill(config.type === 'one-bit' ? 0 : 1),
+        
+        // Historia global de gshare: un bit por salto, el más reciente a la derecha
+        history: 0,
+        
+        stats: { branches: 0, correct: 0 },
+        
+        // Último salto: { address, index, predicted, taken }
+        lastPrediction: null
+    };
+}
+
+/**
+ * Cambiar la configuración del predictor (reinicia el procesador)
+ * @param {Object} changes - Campos de la configuración a cambiar
+ * @throws {RangeError} - Si el predictor no existe o el tamaño de la tabla no es válido
+ */
+function setPredictorConfig(changes) {
+    const config = { ...processor.config.predictor, ...changes };
+    const { tableSize } = config;
+    
+    if (!Object.hasOwn(BRANCH_PREDICTORS, config.type)) {
+        throw new RangeError(`Predictor de saltos desconocido: "${config.type}"`);
+    }
+    if (!Number.isInteger(tableSize) || tableSize < 1 || tableSize > 4096 || (tableSize & (tableSize - 1)) !== 0) {
+        throw new RangeError('La tabla del predictor debe tener una potencia de dos de entradas, hasta 4096');
+    }
+    
+    processor.config.predictor = config;
+    resetProcessor();
+}
+
+/**
+ * Comprobar si el predictor elegido usa la tabla de predicción
+ * @returns {boolean}
+ */
+function isDynamicPredictor() {
+    const type = processor.config.predictor.type;
+    return type !== 'not-taken' && type !== 'btfn';
+}
+
+/**
+ * Obtener la entrada de la tabla que corresponde a un salto
+ * Se usan los bits bajos de la dirección sin los 2 de alineamiento; gshare
+ * los combina con la historia global
+ * @param {number} address - Dirección del salto
+ * @returns {number} - Índice en la tabla
+ */
+function getPredictorIndex(address) {
+    const mask = processor.config.predictor.tableSize - 1;
+    const index = address >>> 2;
+    
+    return (processor.config.predictor.type === 'gshare' ? index ^ processor.predictor.history : index) & mask;
+}
+
+/**
+ * Predecir un salto condicional y actualizar el predictor con su resultado
+ * @param {number} address - Dirección del salto
+ * @param {number} target - Destino si se toma
+ * @param {boolean} taken - Resultado real del salto
+ * @returns {Object|null} - { address, index, predicted, taken } o null si no hay predictor
+ */
+function resolveBranch(address, target, taken) {
+    const config = processor.config.predictor;
+    if (!config.enabled) {
+        return null;
+    }
+    
+    const predictor = processor.predictor;
+    const index = getPredictorIndex(address);
+    const counter = predictor.table[index];
+    
+    let predicted;
+    switch (config.type) {
+        case 'not-taken':
+            predicted = false;
+            break;
+        case 'btfn':
+            predicted = target <= address;
+            break;
+        case 'one-bit':
+            predicted = counter === 1;
+            break;
+        default: // two-bit y gshare
+            predicted = counter >= 2;
+    }
+    
+    if (isDynamicPredictor()) {
+        if (processor.historyRecord) {
+            processor.historyRecord.predictor.push([index, counter]);
+        }
+        predictor.table[index] = config.type === 'one-bit'
+            ? (taken ? 1 : 0)
+            : Math.max(0, Math.min(3, counter + (taken ? 1 : -1)));
+    }
+    if (config.type === 'gshare') {
+        predictor.history = ((predictor.history << 1) | (taken ? 1 : 0)) & (config.tableSize - 1);
+    }
+    
+    predictor.stats.branches++;
+    if (predicted === taken) {
+        predictor.stats.correct++;
+    }
+    
+    predictor.lastPrediction = { address, index, predicted, taken };
+    return predictor.lastPrediction;
+}
+
+/**
+ * Describir una predicción para el log
+ * @param {Object|null} prediction - Resultado de resolveBranch
+ * @returns {string} - Texto a añadir al log (vacío si no hay predictor)
+ */
+function formatPrediction(prediction) {
+    if (!prediction) {
+        return '';
+    }
+    const predicted = prediction.predicted ? 'tomado' : 'no tomado';
+    return ` (predicción: ${predicted}, ${prediction.predicted === prediction.taken ? 'acierto' : 'fallo'})`;
+}
+
+/**
+ * Calcular las estadísticas del predictor
+ * @returns {Object} - { branches, correct, mispredictions, accuracy, penaltyCycles }
+ */
+function getPredictorStats() {
+    const { branches, correct } = processor.predictor.stats;
+    const mispredictions = branches - correct;
+    
+    return {
+        branches,
+        correct,
+        mispredictions,
+        accuracy: branches > 0 ? correct / branches : 0,
+        penaltyCycles: mispredictions * processor.config.predictor.mispredictPenalty
+    };
+}
+
+// ============================================
+// ESTADÍSTICAS DE EJECUCIÓN
+// ============================================
+
+/**
+ * Tipos de instrucción de la mezcla dinámica: clave → descripción
+ */
+const INSTRUCTION_CLASSES = {
+    R: 'Tipo R',
+    I: 'Tipo I (aritmético-lógicas)',
+    load: 'Cargas',
+    store: 'Almacenamientos',
+    branch: 'Saltos condicionales',
+    jump: 'Saltos incondicionales',
+    upper: 'LUI / AUIPC',
+    system: 'Sistema (FENCE, ECALL, CSR…)'
+};
+
+/**
+ * Crear los contadores de una ejecución, todos a cero
+ * Hay un contador por tipo de instrucción (ver INSTRUCTION_CLASSES)
+ * @returns {Object} - { instructions, R, I, load, …, branchesTaken, branchesNotTaken, memoryReads, memoryWrites }
+ */
+function createRunStats() {
+    return {
+        instructions: 0,
+        R: 0,
+        I: 0,
+        load: 0,
+        store: 0,
+        branch: 0,
+        jump: 0,
+        upper: 0,
+        system: 0,
+        branchesTaken: 0,
+        branchesNotTaken: 0,
+        memoryReads: 0,
+        memoryWrites: 0
+    };
+}
+
+/**
+ * Obtener el tipo de una instrucción para la mezcla dinámica
+ * @param {number} opcode - Opcode de la instrucción
+ * @returns {string} - Clave de INSTRUCTION_CLASSES
+ */
+function getInstructionClass(opcode) {
+    switch (opcode) {
+        case 0b0110011: return 'R';
+        case 0b0010011: return 'I';
+        case 0b0000011: return 'load';
+        case 0b0100011: return 'store';
+        case 0b1100011: return 'branch';
+        case 0b1101111:
+        case 0b1100111: return 'jump';
+        case 0b0110111:
+        case 0b0010111: return 'upper';
+        default: return 'system';
+    }
+}
+
+/**
+ * Contar una instrucción completada
+ * @param {number} address - Dirección de la instrucción
+ * @param {number} opcode - Opcode de la instrucción
+ * @param {boolean} taken - Si es un salto condicional, si se tomó
+ */
+function countInstruction(address, opcode, taken) {
+    const stats = processor.stats;
+    const type = getInstructionClass(opcode);
+    
+    stats.instructions++;
+    stats[type]++;
+    if (type === 'branch') {
+        stats[taken ? 'branchesTaken' : 'branchesNotTaken']++;
+    } else if (type === 'load') {
+        stats.memoryReads++;
+    } else if (type === 'store') {
+        stats.memoryWrites++;
+    }
+    
+    processor.executionCounts[address] = (processor.executionCounts[address] || 0) + 1;
+    if (processor.historyRecord) {
+        processor.historyRecord.executed.push(address);
+    }
+}
+
+/**
+ * Calcular las métricas de la ejecución
+ * En monociclo cada instrucción tarda un ciclo; en el pipeline se cuentan los
+ * ciclos reales, con el llenado, las paradas y los vaciados
+ * @returns {Object} - Contadores de createRunStats más { cycles, cpi, clockPeriod, time } (tiempo en ns)
+ */
+function getRunStats() {
+    const stats = processor.stats;
+    const cycles = processor.config.mode === 'pipeline' ? processor.pipeline.cycle : stats.instructions;
+    const clockPeriod = processor.config.clockPeriod;
+    
+    return {
+        ...stats,
+        cycles,
+        cpi: stats.instructions > 0 ? cycles / stats.instructions : 0,
+        clockPeriod,
+        time: cycles * clockPeriod
+    };
+}
+
+/**
+ * Exportar las estadísticas de la ejecución como CSV: primero las métricas
+ * generales y la mezcla de instrucciones y después una fila por instrucción
+ * del programa con el número de veces que se ejecutó
+ * @returns {string} - Texto CSV (separado por comas, con cabeceras)
+ */
+function buildStatsCSV() {
+    const quote = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const stats = getRunStats();
+    
+    const rows = [
+        ['métrica', 'valor'],
+        ['modo', processor.config.mode],
+        ['instrucciones', stats.instructions],
+        ['ciclos', stats.cycles],
+        ['CPI', stats.cpi.toFixed(3)],
+        ['periodo de reloj (ns)', stats.clockPeriod],
+        ['tiempo total (ns)', stats.time],
+        ...Object.keys(INSTRUCTION_CLASSES).map(type => [INSTRUCTION_CLASSES[type], stats[type]]),
+        ['saltos tomados', stats.branchesTaken],
+        ['saltos no tomados', stats.branchesNotTaken],
+        ['lecturas de memoria', stats.memoryReads],
+        ['escrituras en memoria', stats.memoryWrites],
+        [],
+        ['línea', 'dirección', 'instrucción', 'ejecuciones'],
+        ...processor.program.map(entry => [
+            entry.line + 1,
+            formatHex(entry.address),
+            entry.source,
+            processor.executionCounts[entry.address] || 0
+        ])
+    ];
+    
+    return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+// ============================================
+// PIPELINE DE 5 ETAPAS (IF, ID, EX, MEM, WB)
+// ============================================
+
+/**
+ * Etapas del pipeline, en orden
+ */
+const PIPELINE_STAGES = ['IF', 'ID', 'EX', 'MEM', 'WB'];
+
+/**
+ * Número de ciclos que se conservan para el diagrama del pipeline
+ */
+const PIPELINE_DIAGRAM_CYCLES = 30;
+
+/**
+ * Crear el estado inicial del pipeline (vacío)
+ * Los registros de segmentación guardan la instrucción que sale de cada etapa
+ * @returns {Object} - Estado del pipeline
+ */
+function createPipelineState() {
+    return {
+        IF_ID: null,
+        ID_EX: null,
+        EX_MEM: null,
+        MEM_WB: null,
+        nextId: 0,
+        cycle: 0,
+        retired: 0,
+        stalls: 0,
+        flushes: 0,
+        
+        // Últimos ciclos: { cycle, stages: { IF: { id, source, address }, ... }, stall, flushed: [ids] }
+        cycles: []
+    };
+}
+
+/**
+ * Obtener las señales de control que genera la unidad de control para un opcode
+ * @param {number} opcode - Opcode de la instrucción
+ * @returns {Object} - Señales con la misma forma que processor.controlSignals
+ */
+function getControlSignals(opcode) {
+    const none = {
+        RegWrite: false,
+        ALUSrc: false,
+        MemWrite: false,
+        MemRead: false,
+        MemToReg: false,
+        Branch: false,
+        Jump: false,
+        ALUOp: '00'
+    };
+    
+    switch (opcode) {
+        case 0b0110011: // Tipo R
+            return { ...none, RegWrite: true, ALUOp: '10' };
+        case 0b0010011: // Tipo I
+            return { ...none, RegWrite: true, ALUSrc: true, ALUOp: '10' };
+        case 0b0000011: // Load
+            return { ...none, RegWrite: true, ALUSrc: true, MemRead: true, MemToReg: true };
+        case 0b0100011: // Store
+            return { ...none, ALUSrc: true, MemWrite: true };
+        case 0b1100011: // Branch
+            return { ...none, Branch: true, ALUOp: '01' };
+        case 0b0110111: // LUI
+        case 0b0010111: // AUIPC
+            return { ...none, RegWrite: true, ALUSrc: true };
+        case 0b1101111: // JAL
+            return { ...none, RegWrite: true, Jump: true };
+        case 0b1100111: // JALR
+            return { ...none, RegWrite: true, ALUSrc: true, Jump: true };
+        default:
+            return none;
+    }
+}
+
+/**
+ * Obtener los registros fuente que lee una instrucción (sin contar x0)
+ * @param {Object} stage - Instrucción en el pipeline
+ * @returns {Array} - Números de registro leídos
+ */
+function getSourceRegisters(stage) {
+    const { format, opcode, funct3, rs1, rs2 } = stage.decoded;
+    const sources = [];
+    
+    // En SYSTEM solo CSRRW, CSRRS y CSRRC leen rs1 (en el resto es un inmediato o cero)
+    const isSystem = opcode === 0b1110011;
+    if ((format === 'R' || format === 'I' || format === 'S' || format === 'B') &&
+        (!isSystem || (funct3 >= 0b001 && funct3 <= 0b011))) {
+        sources.push(rs1);
+    }
+    if (format === 'R' || format === 'S' || format === 'B') {
+        sources.push(rs2);
+    }
+    return sources.filter(register => register !== 0);
+}
+
+/**
+ * Comprobar si una instrucción del pipeline escribe en un registro dado
+ * @param {Object|null} stage - Instrucción en el pipeline (null = burbuja)
+ * @param {number} register - Número de registro
+ * @returns {boolean}
+ */
+function writesRegister(stage, register) {
+    return stage !== null && stage.signals.RegWrite && stage.decoded.rd === register;
+}
+
+/**
+ * Obtener el registro que una instrucción escribe en WB sin que su valor pueda
+ * adelantarse: a0 en ECALL y rd en las instrucciones de Zicsr
+ * @param {Object|null} stage - Instrucción en el pipeline (null = burbuja)
+ * @returns {number|null} - Número de registro o null si no hay
+ */
+function getLateWrittenRegister(stage) {
+    if (stage === null) {
+        return null;
+    }
+    if (stage.mnemonic === 'ecall') {
+        return 10;
+    }
+    return isCSRInstruction(stage.mnemonic) && stage.decoded.rd !== 0 ? stage.decoded.rd : null;
+}
+
+/**
+ * Ejecutar la etapa EX de una instrucción con sus operandos ya adelantados
+ * No modifica el estado: devuelve la instrucción con sus resultados
+ * Una instrucción ilegal o un salto desalineado se marcan con la excepción,
+ * que se provoca al llegar a WB, y pierden sus señales de control
+ * @param {Object} stage - Instrucción que sale de ID/EX
+ * @param {number} a - Valor de rs1
+ * @param {number} b - Valor de rs2
+ * @returns {Object} - Instrucción con result, memAddress, storeData, target (null si no salta) y exception
+ */
+function executePipelineEX(stage, a, b) {
+    const { opcode, funct3, funct7, imm } = stage.decoded;
+    const mnemonic = stage.mnemonic;
+    const result = { ...stage, readData1: a, readData2: b, result: 0, memAddress: 0, storeData: b, target: null };
+    
+    // Las líneas con errores de ensamblado se saltan, como en el modo monociclo
+    if (mnemonic === '???') {
+        return stage.error ? result : { ...result, signals: getControlSignals(null), exception: getIllegalInstructionException(stage.decoded.word) };
+    }
+    
+    switch (opcode) {
+        case 0b0110011: // Tipo R
+            result.result = executeALU(mnemonic, a, b, funct3, funct7);
+            break;
+        case 0b0010011: { // Tipo I (en los desplazamientos el operando es imm[4:0])
+            const isShift = funct3 === 0b001 || funct3 === 0b101;
+            result.result = executeALU(mnemonic, a, isShift ? imm & 0x1F : imm, funct3, isShift ? funct7 : 0);
+            break;
+        }
+        case 0b0000011: // Load
+        case 0b0100011: // Store
+            result.memAddress = executeALU(mnemonic, a, imm, 0b000, 0) >>> 0;
+            result.result = result.memAddress;
+            break;
+        case 0b1100011: // Branch
+            result.result = executeALU(mnemonic, a, b, 0b000, 0b0100000);
+            if (evaluateBranch(funct3, a, b)) {
+                result.target = (stage.address + imm) >>> 0;
+            }
+            break;
+        case 0b0110111: // LUI
+        case 0b0010111: // AUIPC
+            result.result = executeALU(mnemonic, opcode === 0b0010111 ? stage.address : 0, imm, 0b000, 0);
+            break;
+        case 0b1101111: // JAL
+            result.result = (stage.address + 4) | 0;
+            result.target = (stage.address + imm) >>> 0;
+            break;
+        case 0b1100111: // JALR
+            result.result = (stage.address + 4) | 0;
+            result.target = (executeALU(mnemonic, a, imm, 0b000, 0) & ~1) >>> 0;
+            break;
+    }
+    
+    if (result.target !== null && result.target % 4 !== 0) {
+        return { ...result, signals: getControlSignals(null), exception: getJumpException(result.target), target: null };
+    }
+    return result;
+}
+
+/**
+ * Ejecutar un ciclo del pipeline: las cinco etapas trabajan a la vez sobre
+ * instrucciones distintas. Se detectan los riesgos de datos (con o sin
+ * adelantamiento), las paradas por dependencia de una carga y los vaciados
+ * por saltos, que se resuelven en EX
+ * Las excepciones, los CSR y MRET se tratan en WB, cuando todas las
+ * instrucciones anteriores han terminado: así las excepciones son precisas
+ */
+function executePipelineCycle() {
+    const old = processor.pipeline;
+    const forwarding = processor.config.forwarding;
+    const events = [];
+    
+    // ----- EX: operandos leídos en ID o adelantados desde EX/MEM y MEM/WB -----
+    let executed = null;
+    if (old.ID_EX) {
+        const forward = (register, value) => {
+            if (!forwarding || register === 0) {
+                return value;
+            }
+            if (writesRegister(old.EX_MEM, register) && !old.EX_MEM.signals.MemRead) {
+                return old.EX_MEM.result;
+            }
+            if (writesRegister(old.MEM_WB, register)) {
+                return old.MEM_WB.value;
+            }
+            return value;
+        };
+        
+        const { rs1, rs2 } = old.ID_EX.decoded;
+        executed = executePipelineEX(old.ID_EX,
+            forward(rs1, old.ID_EX.readData1), forward(rs2, old.ID_EX.readData2));
+    }
+    
+    // ----- WB: escribir en el banco de registros (primera mitad del ciclo) -----
+    const memory = old.EX_MEM;
+    const writeBack = old.MEM_WB;
+    let retired = old.retired;
+    let exception = null;
+    
+    // Motivo para descartar las instrucciones más jóvenes (exit, excepción o MRET)
+    let squash = null;
+    if (writeBack) {
+        exception = writeBack.exception || null;
+        
+        if (writeBack.signals.RegWrite) {
+            writeRegister(writeBack.decoded.rd, writeBack.value);
+        }
+        if (isCSRInstruction(writeBack.mnemonic)) {
+            const { funct3, rs1, rd, imm } = writeBack.decoded;
+            const operand = funct3 & 0b100 ? rs1 : writeBack.readData1;
+            const csr = executeCSRInstruction(writeBack.mnemonic, imm & 0xFFF, rs1, operand);
+            
+            if (csr.exception) {
+                exception = { ...csr.exception, tval: writeBack.decoded.word };
+            } else {
+                writeRegister(rd, csr.value);
+                events.push(`${writeBack.mnemonic.toUpperCase()} → ${csr.message}`);
+            }
+        } else if (writeBack.mnemonic === 'mret') {
+            processor.pc = returnFromTrap();
+            squash = 'MRET';
+            events.push(`MRET → PC = mepc = ${formatHex(processor.pc)}`);
+        } else if (writeBack.mnemonic === 'ecall') {
+            // Todas las instrucciones anteriores ya han escrito sus resultados
+            const syscall = executeSyscall();
+            
+            // Sin entrada disponible el ciclo no se completa y se repite al continuar
+            if (syscall.waiting) {
+                processor.isRunning = false;
+                addToLog(`[Ciclo ${old.cycle + 1}] ⌨ ECALL read_int: esperando una línea en la consola`);
+                return;
+            }
+            if (syscall.fault) {
+                exception = { cause: 11, tval: 0, message: syscall.fault };
+            } else {
+                events.push(`ECALL → ${syscall.message}`);
+            }
+        } else if (writeBack.mnemonic === 'ebreak') {
+            processor.isRunning = false;
+            events.push('EBREAK completada, ejecución detenida');
+        }
+        
+        if (exception) {
+            // El PC de la instrucción queda en mepc; sin manejador la ejecución se detiene
+            processor.pc = writeBack.address;
+            if (!raiseException(writeBack.source, exception)) {
+                return;
+            }
+            squash = `Excepción (mcause = ${exception.cause})`;
+        } else {
+            retired++;
+            countInstruction(writeBack.address, writeBack.decoded.opcode, writeBack.target != null);
+        }
+    }
+    
+    // Tras exit se descartan las instrucciones más jóvenes que ya estaban en el pipeline
+    if (processor.environment.exitCode !== null) {
+        squash = 'Programa terminado';
+    }
+    
+    // ----- MEM: leer o escribir la memoria de datos -----
+    // Un acceso inválido no se hace: la excepción se provoca al llegar a WB
+    let memWB = null;
+    if (memory && !squash) {
+        const { size, signed } = getAccessWidth(memory.decoded.funct3);
+        const accessException = memory.signals.MemRead || memory.signals.MemWrite
+            ? getMemoryException(memory.memAddress, size, memory.signals.MemWrite)
+            : null;
+        let value = memory.result;
+        
+        if (accessException) {
+            memWB = { ...memory, signals: getControlSignals(null), exception: accessException, value };
+        } else {
+            if (memory.signals.MemRead) {
+                value = loadMemory(memory.memAddress, size, signed);
+                processor.internals.memData = value;
+            } else if (memory.signals.MemWrite) {
+                storeMemory(memory.memAddress, size, memory.storeData);
+            }
+            memWB = { ...memory, value };
+        }
+    }
+    
+    // ----- ID: leer registros (después de WB) y detectar riesgos -----
+    let idEX = null;
+    let stall = false;
+    if (old.IF_ID && !squash) {
+        const sources = getSourceRegisters(old.IF_ID);
+        
+        // Con adelantamiento solo una carga seguida de su uso obliga a esperar;
+        // sin él hay que esperar a que el productor llegue a WB
+        stall = sources.some(register => forwarding
+            ? writesRegister(old.ID_EX, register) && old.ID_EX.signals.MemRead
+            : writesRegister(old.ID_EX, register) || writesRegister(old.EX_MEM, register));
+        
+        // ECALL y los CSR escriben en WB sin adelantamiento posible: quien lea ese registro espera
+        stall = stall || [old.ID_EX, old.EX_MEM].some(stage => sources.includes(getLateWrittenRegister(stage)));
+        
+        if (stall) {
+            events.push(`Parada: ${old.IF_ID.source} espera un dato (burbuja en EX)`);
+        } else {
+            const { rs1, rs2 } = old.IF_ID.decoded;
+            idEX = {
+                ...old.IF_ID,
+                readData1: processor.registers[rs1],
+                readData2: processor.registers[rs2]
+            };
+        }
+    }
+    
+    // ----- IF: buscar la siguiente instrucción (salvo parada) -----
+    let ifID = stall ? old.IF_ID : null;
+    let nextId = old.nextId;
+    if (!stall && !squash) {
+        const entry = fetchInstruction(processor.pc);
+        if (entry) {
+            const decoded = decodeInstruction(entry.word || 0);
+            ifID = {
+                id: nextId++,
+                address: processor.pc,
+                source: entry.source,
+                error: entry.word === null,
+                decoded,
+                mnemonic: getMnemonic(decoded),
+                signals: getControlSignals(decoded.opcode)
+            };
+            processor.pc += 4;
+        }
+    }
+    
+    // Instrucciones en cada etapa durante este ciclo (para el diagrama); durante
+    // una parada IF repite la búsqueda de la instrucción que aún no ha entrado
+    const describe = (stage) => stage ? { id: stage.id, source: stage.source, address: stage.address } : null;
+    const pending = stall && !squash ? fetchInstruction(processor.pc) : null;
+    const stages = {
+        IF: stall ? (pending ? { id: nextId, source: pending.source, address: processor.pc } : null) : describe(ifID),
+        ID: describe(old.IF_ID),
+        EX: describe(old.ID_EX),
+        MEM: describe(old.EX_MEM),
+        WB: describe(old.MEM_WB)
+    };
+    
+    // ----- Salto tomado en EX: vaciar las dos instrucciones más jóvenes -----
+    // (exit, una excepción o MRET en WB vacían todas las que le siguen)
+    const flushed = [];
+    if (squash) {
+        [old.IF_ID, old.ID_EX, old.EX_MEM].forEach(stage => {
+            if (stage) {
+                flushed.push(stage.id);
+            }
+        });
+        
+        executed = null;
+        if (flushed.length > 0) {
+            events.push(`${squash}: se descartan ${flushed.length} instrucción(es)`);
+        }
+    } else if (executed && executed.target !== null) {
+        [ifID, idEX].forEach(stage => {
+            if (stage) {
+                flushed.push(stage.id);
+            }
+        });
+        
+        ifID = null;
+        idEX = null;
+        processor.pc = executed.target;
+        events.push(`Salto a ${formatHex(executed.target)}: se vacían ${flushed.length} instrucción(es)`);
+    }
+    
+    // Los saltos condicionales se resuelven en EX: el predictor compara con su predicción.
+    // Un salto tomado a un destino desalineado (causa 0) también cuenta, como en monociclo
+    const misaligned = Boolean(executed && executed.exception && executed.exception.cause === 0 &&
+        executed.decoded.opcode === 0b1100011);
+    if (executed && (executed.signals.Branch || misaligned)) {
+        const prediction = resolveBranch(executed.address,
+            (executed.address + executed.decoded.imm) >>> 0, executed.target !== null || misaligned);
+        if (prediction) {
+            events.push(`${executed.source}${formatPrediction(prediction)}`);
+        }
+    }
+    
+    // Valores de la instrucción en EX para la ALU, las señales y la ruta de datos
+    if (executed) {
+        processor.controlSignals = { ...executed.signals };
+        Object.assign(processor.internals, {
+            pc: executed.address,
+            nextPC: executed.target !== null ? executed.target : executed.address + 4,
+            instruction: executed.decoded.word,
+            opcode: executed.decoded.opcode,
+            rd: executed.decoded.rd,
+            rs1: executed.decoded.rs1,
+            rs2: executed.decoded.rs2,
+            funct3: executed.decoded.funct3,
+            funct7: executed.decoded.funct7,
+            imm: executed.decoded.imm,
+            readData1: executed.readData1,
+            readData2: executed.readData2,
+            aluResult: executed.result
+        });
+    }
+    
+    const cycle = old.cycle + 1;
+    processor.pipeline = {
+        IF_ID: ifID,
+        ID_EX: idEX,
+        EX_MEM: executed,
+        MEM_WB: memWB,
+        nextId,
+        cycle,
+        retired,
+        stalls: old.stalls + (stall ? 1 : 0),
+        flushes: old.flushes + flushed.length,
+        cycles: [...old.cycles.slice(1 - PIPELINE_DIAGRAM_CYCLES), { cycle, stages, stall, flushed }]
+    };
+    
+    const summary = PIPELINE_STAGES
+        .map(name => `${name}: ${stages[name] ? stages[name].source : '—'}`)
+        .join(' │ ');
+    addToLog(`[Ciclo ${cycle}] ${summary}`);
+    events.forEach(event => addToLog(`[Ciclo ${cycle}] ↳ ${event}`));
+}
+
+/**
+ * Comprobar si quedan instrucciones por ejecutar (en memoria o dentro del pipeline)
+ * Tras la llamada exit el programa ha terminado aunque queden instrucciones
+ * @returns {boolean}
+ */
+function hasPendingInstructions() {
+    if (processor.environment.exitCode !== null) {
+        return false;
+    }
+    
+    const pipeline = processor.pipeline;
+    const inFlight = processor.config.mode === 'pipeline' &&
+        (pipeline.IF_ID || pipeline.ID_EX || pipeline.EX_MEM || pipeline.MEM_WB);
+    
+    return fetchInstruction(processor.pc) !== null || Boolean(inFlight);
+}
+
+/**
+ * Cambiar el modo de ejecución (reinicia el procesador)
+ * @param {string} mode - 'single' o 'pipeline'
+ */
+function setExecutionMode(mode) {
+    processor.config.mode = mode;
+    resetProcessor();
+}
+
+// ============================================
+// HISTORIAL DE EJECUCIÓN
+// ============================================
+
+/**
+ * Número máximo de instrucciones que se pueden deshacer
+ */
+const MAX_HISTORY = 50000;
+
+/**
+ * Registros que se descartan de una vez al superar MAX_HISTORY
+ */
+const HISTORY_TRIM_SIZE = 1000;
+
+/**
+ * Copiar la parte del estado que se guarda completa en cada registro del historial
+ * El estado del pipeline no se modifica nunca, se sustituye, así que basta con guardar su referencia
+ * @returns {Object} - { pc, controlSignals, internals, pipeline }
+ */
+function captureHistoryState() {
+    return {
+        pc: processor.pc,
+        controlSignals: { ...processor.controlSignals },
+        internals: { ...processor.internals },
+        pipeline: processor.pipeline,
+        environment: { ...processor.environment },
+        csr: { ...processor.csr },
+        cache: {
+            stats: { ...processor.cache.stats },
+            time: processor.cache.time,
+            seed: processor.cache.seed,
+            lastAccess: processor.cache.lastAccess
+        },
+        predictor: {
+            history: processor.predictor.history,
+            stats: { ...processor.predictor.stats },
+            lastPrediction: processor.predictor.lastPrediction
+        },
+        stats: { ...processor.stats }
+    };
+}
+
+/**
+ * Empezar a registrar los cambios de la instrucción que se va a ejecutar
+ * Si se había retrocedido, las instrucciones posteriores se descartan
+ */
+function beginHistoryRecord() {
+    const position = processor.historyPosition;
+    
+    if (position < processor.history.length) {
+        processor.executionLog.length = processor.history[position].logStart;
+        processor.history.length = position;
+    }
+    
+    processor.historyRecord = {
+        before: captureHistoryState(),
+        registersBefore: processor.registers.slice(),
+        memory: [],
+        cache: [],
+        predictor: [],
+        executed: [],
+        logStart: processor.executionLog.length
+    };
+}
+
+/**
+ * Terminar el registro de la instrucción ejecutada y añadirlo al historial
+ * Se guardan solo los registros y bytes de memoria que cambiaron (valor anterior y nuevo)
+ */
+function commitHistoryRecord() {
+    const record = processor.historyRecord;
+    processor.historyRecord = null;
+    
+    record.after = captureHistoryState();
+    record.registers = [];
+    record.registersBefore.forEach((value, index) => {
+        if (processor.registers[index] !== value) {
+            record.registers.push([index, value, processor.registers[index]]);
+        }
+    });
+    delete record.registersBefore;
+    
+    record.memory = record.memory.map(([address, value]) => [address, value, loadByte(address)]);
+    record.cache = record.cache.map(([set, way, line]) => [set, way, line, { ...processor.cache.sets[set][way] }]);
+    record.predictor = record.predictor.map(([index, value]) => [index, value, processor.predictor.table[index]]);
+    record.logEnd = processor.executionLog.length;
+    
+    // Los registros más antiguos se descartan por bloques: desplazar un array
+    // de MAX_HISTORY elementos en cada instrucción haría muy lentas las ejecuciones largas
+    processor.history.push(record);
+    if (processor.history.length > MAX_HISTORY + HISTORY_TRIM_SIZE) {
+        processor.history.splice(0, HISTORY_TRIM_SIZE);
+    }
+    processor.historyPosition = processor.history.length;
+}
+
+/**
+ * Deshacer o rehacer un registro del historial
+ * @param {Object} record - Registro del historial
+ * @param {boolean} undo - true para volver al estado anterior, false para el posterior
+ */
+function applyHistoryRecord(record, undo) {
+    const state = undo ? record.before : record.after;
+    const valueIndex = undo ? 1 : 2;
+    
+    processor.pc = state.pc;
+    processor.controlSignals = { ...state.controlSignals };
+    processor.internals = { ...state.internals };
+    processor.pipeline = state.pipeline;
+    processor.environment = { ...state.environment };
+    processor.csr = { ...state.csr };
+    
+    record.registers.forEach(change => {
+        processor.registers[change[0]] = change[valueIndex];
+    });
+    
+    // Al deshacer, los bytes se restauran en orden inverso por si se escribieron varias veces
+    const memory = undo ? [...record.memory].reverse() : record.memory;
+    memory.forEach(change => {
+        storeByte(change[0], change[valueIndex]);
+    });
+    
+    // Líneas de la caché: [conjunto, vía, antes, después]
+    Object.assign(processor.cache, { ...state.cache, stats: { ...state.cache.stats } });
+    (undo ? [...record.cache].reverse() : record.cache).forEach(change => {
+        processor.cache.sets[change[0]][change[1]] = { ...change[valueIndex + 1] };
+    });
+    
+    // Entradas de la tabla del predictor: [índice, antes, después]
+    Object.assign(processor.predictor, { ...state.predictor, stats: { ...state.predictor.stats } });
+    (undo ? [...record.predictor].reverse() : record.predictor).forEach(change => {
+        processor.predictor.table[change[0]] = change[valueIndex];
+    });
+    
+    // Contadores de la ejecución y direcciones de las instrucciones completadas
+    processor.stats = { ...state.stats };
+    record.executed.forEach(address => {
+        processor.executionCounts[address] += undo ? -1 : 1;
+    });
+}
+
+/**
+ * Llevar el procesador al estado tras un número dado de instrucciones del historial
+ * @param {number} position - Número de registros aplicados (0 = antes de la primera)
+ */
+function goToHistory(position) {
+    position = Math.max(0, Math.min(position, processor.history.length));
+    
+    while (processor.historyPosition > position) {
+        processor.historyPosition--;
+        applyHistoryRecord(processor.history[processor.historyPosition], true);
+    }
+    while (processor.historyPosition < position) {
+        applyHistoryRecord(processor.history[processor.historyPosition], false);
+        processor.historyPosition++;
+    }
+}
+
+/**
+ * Obtener cuántas entradas del log corresponden al estado actual
+ * Las siguientes pertenecen a instrucciones deshechas y se muestran atenuadas
+ * @returns {number}
+ */
+function getHistoryLogEnd() {
+    const position = processor.historyPosition;
+    
+    return position < processor.history.length
+        ? processor.history[position].logStart
+        : processor.executionLog.length;
+}
+
+// ============================================
+// PUNTOS DE RUPTURA
+// ============================================
+
+/**
+ * Parsear la condición de un punto de ruptura condicional
+ * @param {string} text - Condición (ej: "x5 == 10", "a0 >= t1", "pc != 0x20")
+ * @returns {Object} - { left, operator, right } con términos pc, registro o inmediato
+ */
+function parseBreakpointCondition(text) {
+    const match = text.trim().match(/^(\S+?)\s*(==|!=|<=|>=|<|>)\s*(\S+)$/);
+    
+    if (!match) {
+        throw new Error('La condición debe tener la forma "operando operador operando" (ej: x5 == 10)');
+    }
+    
+    const parseTerm = (term) => {
+        if (term.toLowerCase() === 'pc') {
+            return { type: 'pc' };
+        }
+        
+        const register = getRegisterNumber(term);
+        if (register !== null && register <= 31) {
+            return { type: 'register', value: register };
+        }
+        
+        let tokens = [];
+        try {
+            tokens = tokenizeLine(term);
+        } catch (error) {
+            // Se informa abajo como término no válido
+        }
+        if (tokens.length === 1 && tokens[0].type === 'number') {
+            return { type: 'immediate', value: parseNumber(term) | 0 };
+        }
+        throw new Error(`"${term}" no es un registro, pc ni un número`);
+    };
+    
+    return { left: parseTerm(match[1]), operator: match[2], right: parseTerm(match[3]) };
+}
+
+/**
+ * Evaluar la condición de un punto de ruptura con el estado actual
+ * Los valores se comparan como enteros de 32 bits con signo
+ * @param {Object} condition - Resultado de parseBreakpointCondition
+ * @returns {boolean}
+ */
+function evaluateBreakpointCondition(condition) {
+    const getValue = (term) => {
+        switch (term.type) {
+            case 'pc':
+                return processor.pc | 0;
+            case 'register':
+                return processor.registers[term.value];
+            default:
+                return term.value;
+        }
+    };
+    
+    const a = getValue(condition.left);
+    const b = getValue(condition.right);
+    
+    switch (condition.operator) {
+        case '==': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+}
+
+/**
+ * Comprobar si la ejecución debe detenerse antes de una instrucción
+ * Solo se detiene al comienzo de la línea (no a mitad de una pseudoinstrucción)
+ * @param {Object} entry - Entrada del programa a punto de ejecutarse
+ * @returns {boolean}
+ */
+function isBreakpointHit(entry) {
+    const breakpoint = processor.breakpoints[entry.line];
+    
+    if (!breakpoint || processor.program.find(e => e.line === entry.line) !== entry) {
+        return false;
+    }
+    return !breakpoint.condition || evaluateBreakpointCondition(breakpoint.condition);
+}
+
+/**
+ * Reiniciar el procesador
+ */
+function resetProcessor() {
+    processor.history = [];
+    processor.historyPosition = 0;
+    processor.runControl.breakpointStop = null;
+    processor.pipeline = createPipelineState();
+    processor.registers = Array(32).fill(0);
+    loadDataSegment();
+    processor.mmio = new Uint8Array(MMIO_STORAGE_SIZE);
+    processor.pc = processor.config.textBase;
+    processor.executionLog = [];
+    processor.isRunning = false;
+    processor.controlSignals = {
+        RegWrite: false,
+        ALUSrc: false,
+        MemWrite: false,
+        MemRead: false,
+        MemToReg: false,
+        Branch: false,
+        Jump: false,
+        ALUOp: '00'
+    };
+    processor.internals = {
+        pc: 0,
+        nextPC: 0,
+        instruction: 0,
+        opcode: 0,
+        rd: 0,
+        rs1: 0,
+        rs2: 0,
+        funct3: 0,
+        funct7: 0,
+        imm: 0,
+        aluResult: 0,
+        readData1: 0,
+        readData2: 0,
+        memData: 0,
+        aluFlags: { zero: false, negative: false, overflow: false }
+    };
+    processor.fault = null;
+    processor.environment = createEnvironment();
+    processor.csr = createCSRState();
+    processor.cache = createCacheState(processor.config.cache);
+    processor.predictor = createPredictorState(processor.config.predictor);
+    processor.stats = createRunStats();
+    processor.executionCounts = {};
+}
+
+/**
+ * Agregar mensaje al log de ejecución
+ * @param {string} message - Mensaje a agregar
+ */
+function addToLog(message) {
+    processor.executionLog.push(message);
+}
+
+// ============================================
+// EDICIÓN MANUAL DE REGISTROS Y MEMORIA
+// ============================================
+
+/**
+ * Convertir un valor escrito a mano a un entero de 32 bits
+ * Admite los mismos literales que el ensamblador: decimal, 0x, 0b, 0o y 'c'
+ * @param {string} text - Valor introducido (con o sin signo)
+ * @returns {number} - Valor de 32 bits con signo
+ */
+function parseValue(text) {
+    let tokens = [];
+    try {
+        tokens = tokenizeLine(text.trim());
+    } catch (error) {
+        // Se informa abajo como valor no válido
+    }
+    
+    if (tokens.length !== 1 || tokens[0].type !== 'number') {
+        throw new Error(`"${text.trim()}" no es un número válido`);
+    }
+    
+    const value = parseNumber(tokens[0].text);
+    if (value < -0x80000000 || value > 0xFFFFFFFF) {
+        throw new Error(`${text.trim()} no cabe en 32 bits`);
+    }
+    return value | 0;
+}
+
+/**
+ * Modificar a mano un registro; el cambio queda en el historial y puede deshacerse
+ * @param {number} index - Número de registro (x0 no se puede modificar)
+ * @param {number} value - Nuevo valor
+ */
+function editRegister(index, value) {
+    beginHistoryRecord();
+    writeRegister(index, value);
+    addToLog(`✎ x${index} (${ABI_REGISTER_NAMES[index]}) = ${value | 0}, modificado a mano`);
+    commitHistoryRecord();
+}
+
+/**
+ * Modificar a mano una palabra de la memoria de datos
+ * @param {number} address - Dirección de la palabra
+ * @param {number} value - Nuevo valor
+ */
+function editMemoryWord(address, value) {
+    beginHistoryRecord();
+    writeMemory(address, 4, value);
+    addToLog(`✎ MEM[${address}] = ${value | 0}, modificada a mano`);
+    commitHistoryRecord();
+}
+
+// ============================================
+// EJECUCIÓN SIN INTERFAZ
+// ============================================
+
+/**
+ * Cargar un programa completo, ensamblarlo y reiniciar el procesador
+ * @param {string} source - Código fuente (una instrucción o directiva por línea)
+ * @returns {Array} - Errores del ensamblado (vacío si el programa es válido)
+ */
+function loadProgram(source) {
+    // Las líneas en blanco del final no forman parte del programa
+    const text = source.replace(/\r\n?/g, '\n').replace(/\s+$/, '');
+    processor.instructions = text ? text.split('\n') : [];
+    processor.breakpoints = {};
+    assembleProgram();
+    resetProcessor();
+    
+    return processor.assemblyErrors;
+}
+
+/**
+ * Ejecutar el programa hasta que termine, se detenga o alcance el límite
+ * @param {number} maxInstructions - Máximo de instrucciones (ciclos en modo pipeline)
+ * @returns {Object} - { executed, reason } con reason 'end', 'exit', 'halt', 'input', 'fault' o 'limit'
+ */
+function runUntilHalt(maxInstructions) {
+    let executed = 0;
+    
+    processor.isRunning = true;
+    while (processor.isRunning && hasPendingInstructions() && executed < maxInstructions) {
+        executeInstruction();
+        executed++;
+    }
+    
+    let reason;
+    if (processor.fault) {
+        reason = 'fault';
+    } else if (processor.environment.exitCode !== null) {
+        reason = 'exit';
+    } else if (processor.environment.waitingInput) {
+        reason = 'input';
+    } else if (!hasPendingInstructions()) {
+        reason = 'end';
+    } else if (!processor.isRunning) {
+        reason = 'halt';
+    } else {
+        reason = 'limit';
+    }
+    processor.isRunning = false;
+    
+    return { executed, reason };
+}
+
+// En Node el núcleo se exporta como módulo; en el navegador sus funciones son globales
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        processor,
+        ABI_REGISTER_NAMES,
+        loadProgram,
+        runUntilHalt,
+        SYSCALLS,
+        CSR_NUMBERS,
+        EXCEPTION_CAUSES,
+        parseValue,
+        editRegister,
+        editMemoryWord,
+        assembleProgram,
+        getDataSymbolRanges,
+        formatAssemblyError,
+        resetProcessor,
+        executeInstruction,
+        executeALU,
+        goToHistory,
+        readMemory,
+        writeMemory,
+        MMIO_BASE,
+        MMIO_DEVICES,
+        BITMAP_SIZE,
+        getDeviceAddress,
+        setSwitches,
+        pressKey,
+        setMemorySize,
+        setTextBase,
+        ISA_PROFILES,
+        setISA,
+        CACHE_REPLACEMENT_POLICIES,
+        CACHE_WRITE_POLICIES,
+        setCacheConfig,
+        getCacheStats,
+        BRANCH_PREDICTORS,
+        setPredictorConfig,
+        getPredictorStats,
+        INSTRUCTION_CLASSES,
+        getRunStats,
+        buildStatsCSV,
+        setExecutionMode,
+        encodeInstruction,
+        decodeInstruction,
+        getMnemonic,
+        parseLine,
+        formatHex
+    };
+}
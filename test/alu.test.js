@@ -0,0 +1,121 @@
+// ============================================
+// PRUEBAS DE LA ALU
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor } = require('./helpers.js');
+
+const { executeALU } = simulator;
+
+const ADD = [0b000, 0b0000000];
+const SUB = [0b000, 0b0100000];
+const SLL = [0b001, 0b0000000];
+const SLT = [0b010, 0b0000000];
+const SLTU = [0b011, 0b0000000];
+const XOR = [0b100, 0b0000000];
+const SRL = [0b101, 0b0000000];
+const SRA = [0b101, 0b0100000];
+const OR = [0b110, 0b0000000];
+const AND = [0b111, 0b0000000];
+const MUL = [0b000, 0b0000001];
+const MULH = [0b001, 0b0000001];
+const MULHSU = [0b010, 0b0000001];
+const MULHU = [0b011, 0b0000001];
+const DIV = [0b100, 0b0000001];
+const DIVU = [0b101, 0b0000001];
+const REM = [0b110, 0b0000001];
+const REMU = [0b111, 0b0000001];
+
+/**
+ * Ejecutar una operación de la ALU a partir de su par [funct3, funct7]
+ * @param {Array} operation - [funct3, funct7]
+ * @param {number} a - Operando A
+ * @param {number} b - Operando B
+ * @returns {number} - Resultado
+ */
+function alu([funct3, funct7], a, b) {
+    return executeALU('', a, b, funct3, funct7);
+}
+
+test('la suma y la resta dan la vuelta a 32 bits en complemento a dos', () => {
+    assert.equal(alu(ADD, 10, 20), 30);
+    assert.equal(alu(ADD, 0x7fffffff, 1), -0x80000000);
+    assert.equal(alu(ADD, -1, 1), 0);
+    assert.equal(alu(ADD, 0xffffffff, 0xffffffff), -2);
+    assert.equal(alu(SUB, 0, 1), -1);
+    assert.equal(alu(SUB, -0x80000000, 1), 0x7fffffff);
+});
+
+test('los indicadores Z, N y V reflejan la última operación', () => {
+    alu(ADD, 0x7fffffff, 1);
+    assert.deepEqual(processor.internals.aluFlags, { zero: false, negative: true, overflow: true });
+    
+    alu(SUB, 5, 5);
+    assert.deepEqual(processor.internals.aluFlags, { zero: true, negative: false, overflow: false });
+    
+    alu(SUB, -0x80000000, 1);
+    assert.deepEqual(processor.internals.aluFlags, { zero: false, negative: false, overflow: true });
+    
+    alu(ADD, -1, 1);
+    assert.deepEqual(processor.internals.aluFlags, { zero: true, negative: false, overflow: false });
+});
+
+test('los desplazamientos usan solo los 5 bits bajos de la cantidad', () => {
+    assert.equal(alu(SLL, 1, 31), -0x80000000);
+    assert.equal(alu(SLL, 1, 32), 1);
+    assert.equal(alu(SLL, 1, 33), 2);
+    assert.equal(alu(SRL, -0x80000000, 31), 1);
+    assert.equal(alu(SRL, -1, 0), -1);
+    assert.equal(alu(SRL, -1, 4), 0x0fffffff);
+    assert.equal(alu(SRA, -16, 2), -4);
+    assert.equal(alu(SRA, -1, 31), -1);
+    assert.equal(alu(SRA, 16, 36), 1);
+});
+
+test('SLT compara con signo y SLTU sin signo', () => {
+    assert.equal(alu(SLT, -1, 1), 1);
+    assert.equal(alu(SLTU, -1, 1), 0);
+    assert.equal(alu(SLT, 1, -1), 0);
+    assert.equal(alu(SLTU, 1, -1), 1);
+    assert.equal(alu(SLT, 5, 5), 0);
+    assert.equal(alu(SLTU, 0, 0xffffffff), 1);
+});
+
+test('las operaciones lógicas trabajan bit a bit sobre 32 bits', () => {
+    assert.equal(alu(XOR, 0b1100, 0b1010), 0b0110);
+    assert.equal(alu(OR, 0b1100, 0b1010), 0b1110);
+    assert.equal(alu(AND, 0b1100, 0b1010), 0b1000);
+    assert.equal(alu(XOR, -1, 0), -1);
+    assert.equal(alu(AND, 0xffffffff, 0x80000000), -0x80000000);
+});
+
+test('la multiplicación da los 32 bits bajos o altos del producto de 64 bits', () => {
+    assert.equal(alu(MUL, 7, -3), -21);
+    assert.equal(alu(MUL, 0x10000, 0x10000), 0);
+    assert.equal(alu(MULH, 0x10000, 0x10000), 1);
+    assert.equal(alu(MULH, -1, -1), 0);
+    assert.equal(alu(MULH, -0x80000000, -0x80000000), 0x40000000);
+    assert.equal(alu(MULHSU, -1, -1), -1);        // -1 × 0xFFFFFFFF
+    assert.equal(alu(MULHU, -1, -1), -2);         // 0xFFFFFFFF × 0xFFFFFFFF
+    assert.equal(alu(MULHU, 0x80000000, 2), 1);
+});
+
+test('la división trunca hacia cero y el resto lleva el signo del dividendo', () => {
+    assert.equal(alu(DIV, -7, 2), -3);
+    assert.equal(alu(REM, -7, 2), -1);
+    assert.equal(alu(DIV, 7, -2), -3);
+    assert.equal(alu(REM, 7, -2), 1);
+    assert.equal(alu(DIVU, -1, 2), 0x7fffffff);
+    assert.equal(alu(REMU, -1, 10), 5);
+});
+
+test('dividir entre cero y el desbordamiento dan los resultados de la especificación', () => {
+    assert.equal(alu(DIV, 5, 0), -1);
+    assert.equal(alu(DIVU, 5, 0), -1);
+    assert.equal(alu(REM, -5, 0), -5);
+    assert.equal(alu(REMU, 5, 0), 5);
+    assert.equal(alu(DIV, -0x80000000, -1), -0x80000000);
+    assert.equal(alu(REM, -0x80000000, -1), 0);
+    assert.deepEqual(processor.internals.aluFlags, { zero: true, negative: false, overflow: false });
+});
@@ -0,0 +1,106 @@
+// ============================================
+// PRUEBAS DE LA CACHÉ DE DATOS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run } = require('./helpers.js');
+
+const { setCacheConfig, getCacheStats, goToHistory } = simulator;
+
+/**
+ * Programa que lee n palabras consecutivas desde una dirección
+ * @param {number} address - Dirección de la primera palabra
+ * @param {number} count - Número de palabras
+ * @returns {Array} - Líneas del programa
+ */
+function readWords(address, count) {
+    return [
+        `li t0, ${address}`,
+        `li t1, ${count}`,
+        'bucle: lw a0, 0(t0)',
+        'addi t0, t0, 4',
+        'addi t1, t1, -1',
+        'bnez t1, bucle'
+    ];
+}
+
+test('un recorrido secuencial falla una vez por bloque', () => {
+    setCacheConfig({ enabled: true, size: 64, blockSize: 16, associativity: 1 });
+    
+    ['single', 'pipeline'].forEach(mode => {
+        run(readWords(0, 16), { mode });
+        const stats = getCacheStats();
+        
+        assert.equal(stats.accesses, 16);
+        assert.equal(stats.misses, 4);
+        assert.equal(stats.hitRate, 0.75);
+        assert.equal(stats.amat, 1 + 0.25 * 20);
+    });
+});
+
+test('los conflictos de una caché directa desaparecen con más vías', () => {
+    // 0 y 64 caen en el mismo conjunto de una caché directa de 64 B
+    const program = ['lw a0, 0(x0)', 'lw a1, 64(x0)', 'lw a0, 0(x0)', 'lw a1, 64(x0)'];
+    
+    setCacheConfig({ enabled: true, size: 64, blockSize: 16, associativity: 1 });
+    run(program);
+    assert.equal(getCacheStats().hits, 0);
+    
+    setCacheConfig({ associativity: 2 });
+    run(program);
+    assert.equal(getCacheStats().hits, 2);
+});
+
+test('LRU y FIFO eligen víctimas distintas', () => {
+    // Conjunto de 2 vías: A y B entran, A se vuelve a usar y C reemplaza una de ellas
+    const program = ['lw a0, 0(x0)', 'lw a0, 64(x0)', 'lw a0, 0(x0)', 'lw a0, 128(x0)', 'lw a0, 0(x0)'];
+    
+    setCacheConfig({ enabled: true, size: 128, blockSize: 16, associativity: 2, replacement: 'LRU' });
+    run(program);
+    assert.equal(getCacheStats().hits, 2);   // C reemplaza a B
+    
+    setCacheConfig({ replacement: 'FIFO' });
+    run(program);
+    assert.equal(getCacheStats().hits, 1);   // C reemplaza a A, la más antigua
+});
+
+test('write-back marca bloques sucios y write-through escribe siempre en memoria', () => {
+    const program = ['sw t0, 0(x0)', 'sw t0, 4(x0)', 'lw a0, 64(x0)'];
+    
+    setCacheConfig({ enabled: true, size: 64, blockSize: 16, associativity: 1, writePolicy: 'write-back' });
+    run(program);
+    assert.deepEqual([getCacheStats().misses, getCacheStats().writebacks], [2, 1]);
+    assert.equal(processor.cache.sets[0][0].dirty, false);
+    
+    setCacheConfig({ writePolicy: 'write-through' });
+    run(program);
+    const stats = getCacheStats();
+    assert.deepEqual([stats.misses, stats.memoryWrites, stats.writebacks], [3, 2, 0]);
+});
+
+test('deshacer una instrucción restaura las líneas y las estadísticas', () => {
+    setCacheConfig({ enabled: true, size: 64, blockSize: 16, associativity: 1, writePolicy: 'write-back' });
+    run(['sw t0, 0(x0)', 'lw a0, 64(x0)']);
+    
+    goToHistory(1);
+    assert.equal(getCacheStats().writebacks, 0);
+    assert.deepEqual(processor.cache.sets[0][0], { valid: true, dirty: true, tag: 0, lastUsed: 1, loadedAt: 1 });
+    
+    goToHistory(0);
+    assert.equal(processor.cache.sets[0][0].valid, false);
+    assert.equal(processor.cache.lastAccess, null);
+    
+    goToHistory(2);
+    assert.equal(processor.cache.sets[0][0].tag, 1);
+});
+
+test('las configuraciones imposibles se rechazan sin cambiar la caché', () => {
+    setCacheConfig({ enabled: true, size: 64, blockSize: 16, associativity: 1 });
+    
+    assert.throws(() => setCacheConfig({ blockSize: 24 }), RangeError);
+    assert.throws(() => setCacheConfig({ blockSize: 2 }), RangeError);
+    assert.throws(() => setCacheConfig({ associativity: 8 }), /no tiene sitio/);
+    assert.equal(processor.config.cache.blockSize, 16);
+    assert.equal(processor.cache.sets.length, 4);
+});
@@ -0,0 +1,137 @@
+// ============================================
+// PRUEBAS DE CODIFICACIÓN Y DECODIFICACIÓN
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, assemble } = require('./helpers.js');
+
+const { decodeInstruction, getMnemonic } = simulator;
+
+test('codifica cada formato con la palabra que indica la especificación', () => {
+    const expected = {
+        'add x3, x1, x2': 0x002081b3,
+        'sub x4, x2, x1': 0x40110233,
+        'sra x5, x6, x7': 0x407352b3,
+        'addi x1, x0, 5': 0x00500093,
+        'addi a0, a0, -1': 0xfff50513,
+        'slli x5, x5, 31': 0x01f29293,
+        'srai x5, x5, 3': 0x4032d293,
+        'lw t0, 8(sp)': 0x00812283,
+        'lbu a1, -1(a0)': 0xfff54583,
+        'sw x1, 0(x2)': 0x00112023,
+        'sb a0, -4(sp)': 0xfea10e23,
+        'beq x1, x2, 8': 0x00208463,
+        'bne x5, x0, -4': 0xfe029ee3,
+        'lui x5, 0x12345': 0x123452b7,
+        'auipc a0, 0xfffff': 0xfffff517,
+        'jal x1, 12': 0x00c000ef,
+        'jal x0, -8': 0xff9ff06f,
+        'jalr x0, x1, 0': 0x00008067,
+        'ecall': 0x00000073,
+        'ebreak': 0x00100073
+    };
+    
+    Object.entries(expected).forEach(([text, word]) => {
+        assert.equal(assemble(text), word, text);
+    });
+});
+
+test('decodifica los campos y reconstruye el inmediato con signo de cada formato', () => {
+    const cases = [
+        ['addi a0, a0, -2048', { format: 'I', rd: 10, rs1: 10, imm: -2048 }],
+        ['sw t1, -2048(sp)', { format: 'S', rs1: 2, rs2: 6, imm: -2048 }],
+        ['sh t1, 2047(sp)', { format: 'S', rs1: 2, rs2: 6, imm: 2047 }],
+        ['blt x1, x2, -4096', { format: 'B', rs1: 1, rs2: 2, imm: -4096 }],
+        ['bgeu x1, x2, 4094', { format: 'B', rs1: 1, rs2: 2, imm: 4094 }],
+        ['lui x1, 0xfffff', { format: 'U', rd: 1, imm: 0xfffff000 | 0 }],
+        ['jal ra, -1048576', { format: 'J', rd: 1, imm: -1048576 }],
+        ['jal ra, 1048574', { format: 'J', rd: 1, imm: 1048574 }]
+    ];
+    
+    cases.forEach(([text, fields]) => {
+        const decoded = decodeInstruction(assemble(text));
+        Object.entries(fields).forEach(([field, value]) => {
+            assert.equal(decoded[field], value, `${text}: ${field}`);
+        });
+    });
+});
+
+test('recupera el mnemónico de cada instrucción del conjunto base', () => {
+    const instructions = [
+        'add x1, x2, x3', 'sub x1, x2, x3', 'sll x1, x2, x3', 'slt x1, x2, x3',
+        'sltu x1, x2, x3', 'xor x1, x2, x3', 'srl x1, x2, x3', 'sra x1, x2, x3',
+        'or x1, x2, x3', 'and x1, x2, x3',
+        'addi x1, x2, 1', 'slti x1, x2, 1', 'sltiu x1, x2, 1', 'xori x1, x2, 1',
+        'ori x1, x2, 1', 'andi x1, x2, 1', 'slli x1, x2, 1', 'srli x1, x2, 1', 'srai x1, x2, 1',
+        'lb x1, 0(x2)', 'lh x1, 0(x2)', 'lw x1, 0(x2)', 'lbu x1, 0(x2)', 'lhu x1, 0(x2)',
+        'sb x1, 0(x2)', 'sh x1, 0(x2)', 'sw x1, 0(x2)',
+        'beq x1, x2, 4', 'bne x1, x2, 4', 'blt x1, x2, 4', 'bge x1, x2, 4',
+        'bltu x1, x2, 4', 'bgeu x1, x2, 4',
+        'lui x1, 1', 'auipc x1, 1', 'jal x1, 4', 'jalr x1, x2, 4', 'ecall', 'ebreak'
+    ];
+    
+    instructions.forEach(text => {
+        const mnemonic = text.split(' ')[0];
+        assert.equal(getMnemonic(decodeInstruction(assemble(text))), mnemonic, text);
+    });
+});
+
+test('las palabras que no corresponden a ninguna instrucción se decodifican como ilegales', () => {
+    assert.equal(getMnemonic(decodeInstruction(0x00000000)), '???');
+    assert.equal(getMnemonic(decodeInstruction(0xffffffff)), '???');
+    assert.equal(getMnemonic(decodeInstruction(0x002081b3 | (0b1000000 << 25))), '???'); // ADD con funct7 inválido
+});
+
+test('el repertorio RV32I rechaza las instrucciones de la extensión M', () => {
+    const mul = assemble('mul x3, x1, x2');
+    assert.equal(mul, 0x022081b3);
+    assert.equal(getMnemonic(decodeInstruction(mul)), 'mul');
+    assert.equal(getMnemonic(decodeInstruction(assemble('remu x3, x1, x2'))), 'remu');
+    
+    simulator.setISA('RV32I');
+    try {
+        assert.throws(() => assemble('mul x3, x1, x2'), /extensión M/);
+        assert.equal(getMnemonic(decodeInstruction(mul)), '???');
+        assert.equal(assemble('add x3, x1, x2'), 0x002081b3);
+    } finally {
+        simulator.setISA('RV32IM');
+    }
+});
+
+test('rechaza inmediatos fuera de rango y saltos desalineados', () => {
+    assert.throws(() => assemble('addi x1, x0, 2048'));
+    assert.throws(() => assemble('addi x1, x0, -2049'));
+    assert.throws(() => assemble('slli x1, x1, 32'));
+    assert.throws(() => assemble('beq x1, x2, 3'));
+    assert.throws(() => assemble('beq x1, x2, 4096'));
+    assert.throws(() => assemble('jal x1, 1048576'));
+    assert.throws(() => assemble('lui x1, 0x100000'));
+});
+
+test('resuelve las etiquetas como desplazamientos relativos al PC', () => {
+    const { processor } = simulator;
+    
+    processor.instructions = ['inicio: addi x1, x0, 1', 'beq x0, x0, fin', 'j inicio', 'fin: nop'];
+    processor.config.textBase = 0;
+    simulator.assembleProgram();
+    
+    assert.deepEqual(processor.assemblyErrors, []);
+    assert.equal(decodeInstruction(processor.program[1].word).imm, 8);
+    assert.equal(decodeInstruction(processor.program[2].word).imm, -8);
+});
+
+test('cada etiqueta de datos abarca hasta la siguiente o hasta el final de los datos', () => {
+    const { processor } = simulator;
+    
+    processor.instructions = ['.data', 'v: .word 1, 2, 3', 'buf: .space 5', 'msg: .asciz "hola"', '.text', 'nop'];
+    processor.config.dataBase = 0;
+    simulator.assembleProgram();
+    
+    assert.deepEqual(processor.assemblyErrors, []);
+    assert.deepEqual(simulator.getDataSymbolRanges(), [
+        { label: 'v', start: 0, end: 12 },
+        { label: 'buf', start: 12, end: 17 },
+        { label: 'msg', start: 17, end: 22 }
+    ]);
+});
@@ -0,0 +1,85 @@
+// ============================================
+// PRUEBAS DE LOS DISPOSITIVOS DE E/S MAPEADOS EN MEMORIA
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run } = require('./helpers.js');
+
+const { getDeviceAddress, setSwitches, pressKey, goToHistory } = simulator;
+
+/**
+ * Leer un registro de un dispositivo
+ * @param {string} id - Identificador del dispositivo
+ * @param {number} offset - Desplazamiento dentro del dispositivo
+ * @returns {number} - Palabra sin signo
+ */
+function readDevice(id, offset = 0) {
+    return simulator.readMemory(getDeviceAddress(id) + offset, 4, false);
+}
+
+// Copia los interruptores en los LEDs y espera una tecla para escribirla en el display
+const ECHO_PROGRAM = [
+    'li s0, 0xFFFF0000',
+    'lw t0, 4(s0)',
+    'sw t0, 0(s0)',
+    'espera: lw t1, 12(s0)',
+    'beqz t1, espera',
+    'lw t2, 16(s0)',
+    'sb t2, 8(s0)',
+    'lw t3, 12(s0)'
+];
+
+[{ mode: 'single' }, { mode: 'pipeline' }].forEach(options => {
+    test(`LEDs, interruptores, teclado y display (${options.mode})`, () => {
+        simulator.loadProgram(ECHO_PROGRAM.join('\n'));
+        processor.config.mode = options.mode;
+        simulator.resetProcessor();
+        setSwitches(0xA5);
+        
+        assert.equal(simulator.runUntilHalt(50).reason, 'limit');
+        assert.equal(readDevice('leds'), 0xA5);
+        
+        pressKey(0x41);
+        assert.equal(readDevice('keyboard'), 1);
+        
+        assert.equal(simulator.runUntilHalt(1000).reason, 'end');
+        assert.equal(readDevice('sevenSegment'), 0x41);
+        assert.equal(readDevice('keyboard'), 0); // la tecla ya se ha leído
+        assert.equal(processor.registers[28], 0);
+    });
+});
+
+test('la pantalla guarda un píxel por palabra a partir de su dirección base', () => {
+    run(['li s1, 0xFFFF1000', 'li s2, 0xFFFF1FFC', 'li t0, 0x00FF8000', 'sw t0, 0(s1)', 'sw t0, 0(s2)']);
+    
+    assert.equal(readDevice('bitmap'), 0x00FF8000);
+    assert.equal(readDevice('bitmap', simulator.BITMAP_SIZE * simulator.BITMAP_SIZE * 4 - 4), 0x00FF8000);
+});
+
+test('los accesos no válidos a la zona de E/S son fallos', () => {
+    assert.equal(run(['li t0, 0xFFFF0004', 'sw t0, 0(t0)']).reason, 'fault');
+    assert.match(processor.fault.message, /Interruptores .* solo lectura/);
+    
+    assert.equal(run(['li t0, 0xFFFF0100', 'lw t1, 0(t0)']).reason, 'fault');
+    assert.match(processor.fault.message, /ningún dispositivo/);
+    
+    // Un acceso que empieza en un dispositivo y acaba en el siguiente
+    assert.equal(run(['li t0, 0xFFFF0002', 'lw t1, 0(t0)']).reason, 'fault');
+});
+
+test('deshacer restaura los registros de los dispositivos', () => {
+    simulator.loadProgram(ECHO_PROGRAM.join('\n'));
+    pressKey(7);
+    simulator.runUntilHalt(1000);
+    assert.equal(readDevice('keyboard'), 0);
+    
+    goToHistory(0);
+    assert.equal(readDevice('leds'), 0);
+    assert.equal(readDevice('keyboard'), 1);
+    assert.equal(readDevice('sevenSegment'), 0);
+    
+    goToHistory(processor.history.length);
+    assert.equal(readDevice('sevenSegment'), 7);
+    assert.equal(readDevice('keyboard'), 0);
+});
@@ -0,0 +1,45 @@
+// ============================================
+// PRUEBAS DE LA EDICIÓN MANUAL DE REGISTROS Y MEMORIA
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run, readWord } = require('./helpers.js');
+
+const { parseValue, editRegister, editMemoryWord, goToHistory } = simulator;
+
+test('los valores escritos a mano admiten los literales del ensamblador', () => {
+    assert.equal(parseValue('42'), 42);
+    assert.equal(parseValue(' -1 '), -1);
+    assert.equal(parseValue('0xffffffff'), -1);
+    assert.equal(parseValue('0b1010'), 10);
+    assert.equal(parseValue("'A'"), 65);
+    assert.equal(parseValue('-2147483648'), -0x80000000);
+    
+    assert.throws(() => parseValue('0x100000000'), /no cabe en 32 bits/);
+    assert.throws(() => parseValue('-2147483649'), /no cabe en 32 bits/);
+    assert.throws(() => parseValue('x5'), /no es un número válido/);
+    assert.throws(() => parseValue(''), /no es un número válido/);
+});
+
+test('las ediciones quedan en el historial y se pueden deshacer', () => {
+    run(['addi x1, x0, 1']);
+    
+    editRegister(5, 123);
+    editRegister(0, 7);
+    editMemoryWord(8, 0x11223344);
+    
+    assert.equal(processor.registers[5], 123);
+    assert.equal(processor.registers[0], 0);
+    assert.equal(readWord(8), 0x11223344);
+    assert.equal(processor.history.length, 4);
+    
+    goToHistory(1);
+    assert.equal(processor.registers[5], 0);
+    assert.equal(readWord(8), 0);
+    assert.equal(processor.registers[1], 1);
+    
+    goToHistory(4);
+    assert.equal(processor.registers[5], 123);
+    assert.equal(readWord(8), 0x11223344);
+});
@@ -0,0 +1,59 @@
+// ============================================
+// UTILIDADES COMPARTIDAS POR LAS PRUEBAS
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const simulator = require('../JS/simulator.js');
+
+const { processor } = simulator;
+
+/**
+ * Ensamblar una sola instrucción a su palabra de 32 bits
+ * @param {string} text - Instrucción (ej: "add x3, x1, x2")
+ * @param {number} address - Dirección de la instrucción (para saltos)
+ * @returns {number} - Palabra sin signo
+ */
+function assemble(text, address = 0) {
+    return simulator.encodeInstruction(simulator.parseLine(text).instruction, address) >>> 0;
+}
+
+/**
+ * Ensamblar y ejecutar un programa completo
+ * @param {string|Array} source - Código fuente o lista de líneas
+ * @param {Object} options - { mode, forwarding, max, memorySize }
+ * @returns {Object} - Resultado de runUntilHalt con los registros finales
+ */
+function run(source, { mode = 'single', forwarding = true, max = 100000, memorySize = 1024 } = {}) {
+    processor.config.forwarding = forwarding;
+    processor.config.mode = mode;
+    processor.config.memorySize = memorySize;
+    
+    const errors = simulator.loadProgram(Array.isArray(source) ? source.join('\n') : source);
+    if (errors.length > 0) {
+        throw new Error(errors.map(simulator.formatAssemblyError).join('\n'));
+    }
+    
+    const result = simulator.runUntilHalt(max);
+    return { ...result, registers: processor.registers.slice(), pc: processor.pc };
+}
+
+/**
+ * Leer un programa de ejemplo de test/programs
+ * @param {string} name - Nombre del fichero
+ * @returns {string} - Código fuente
+ */
+function readProgram(name) {
+    return fs.readFileSync(path.join(__dirname, 'programs', name), 'utf8');
+}
+
+/**
+ * Leer una palabra de la memoria de datos tras la ejecución
+ * @param {number} address - Dirección en bytes
+ * @returns {number} - Palabra con signo
+ */
+function readWord(address) {
+    return simulator.readMemory(address, 4, true);
+}
+
+module.exports = { simulator, processor, assemble, run, readProgram, readWord };
@@ -0,0 +1,233 @@
+// ============================================
+// PRUEBAS DE EJECUCIÓN DE INSTRUCCIONES
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processor, run, readWord } = require('./helpers.js');
+
+test('las escrituras en x0 se descartan', () => {
+    const { registers } = run([
+        'addi x0, x0, 5',
+        'lui x0, 0x12345',
+        'jal x0, 4',
+        'add x1, x0, x0'
+    ]);
+    
+    assert.equal(registers[0], 0);
+    assert.equal(registers[1], 0);
+});
+
+test('los inmediatos de 12 bits se extienden en signo', () => {
+    const { registers } = run([
+        'addi x1, x0, -1',
+        'addi x2, x0, -2048',
+        'xori x3, x0, -1',
+        'andi x4, x1, 0x7ff',
+        'sltiu x5, x0, -1'
+    ]);
+    
+    assert.equal(registers[1], -1);
+    assert.equal(registers[2], -2048);
+    assert.equal(registers[3], -1);
+    assert.equal(registers[4], 0x7ff);
+    assert.equal(registers[5], 1); // 0 < 0xffffffff sin signo
+});
+
+test('LUI y AUIPC colocan el inmediato en los 20 bits altos', () => {
+    const { registers } = run([
+        'lui x1, 0x12345',
+        'addi x1, x1, 0x678',
+        'lui x2, 0xfffff',
+        'auipc x3, 1'
+    ]);
+    
+    assert.equal(registers[1], 0x12345678);
+    assert.equal(registers[2], 0xfffff000 | 0);
+    assert.equal(registers[3], 0x1000 + 12);
+});
+
+test('los desplazamientos con inmediato respetan el tipo de desplazamiento', () => {
+    const { registers } = run([
+        'addi x1, x0, -16',
+        'srai x2, x1, 2',
+        'srli x3, x1, 28',
+        'slli x4, x1, 28',
+        'addi x5, x0, 33',
+        'sll x6, x1, x5'
+    ]);
+    
+    assert.equal(registers[2], -4);
+    assert.equal(registers[3], 0xf);
+    assert.equal(registers[4], 0);
+    assert.equal(registers[6], -32);
+});
+
+test('las cargas leen 1, 2 o 4 bytes con o sin extensión de signo', () => {
+    const { registers } = run([
+        '.data',
+        'v: .word 0x8081f0ff',
+        '.text',
+        'la x1, v',
+        'lb x2, 0(x1)',
+        'lbu x3, 0(x1)',
+        'lh x4, 0(x1)',
+        'lhu x5, 0(x1)',
+        'lh x6, 2(x1)',
+        'lw x7, 0(x1)',
+        'lb x8, 1(x1)'
+    ]);
+    
+    assert.equal(registers[2], -1);
+    assert.equal(registers[3], 0xff);
+    assert.equal(registers[4], 0xf0ff - 0x10000);
+    assert.equal(registers[5], 0xf0ff);
+    assert.equal(registers[6], 0x8081 - 0x10000);
+    assert.equal(registers[7], 0x8081f0ff | 0);
+    assert.equal(registers[8], 0xf0 - 0x100);
+});
+
+test('las cargas admiten una etiqueta sola (AUIPC + carga) o como desplazamiento', () => {
+    const { registers } = run([
+        '.data',
+        'a: .word 5',
+        'v: .word -7',
+        'h: .half 0xffff',
+        '.text',
+        'lw x1, v',
+        'lhu x2, h',
+        'lw x3, v(x0)',
+        'lh x4, h(zero)',
+        'li x5, 4',
+        'lw x6, a(x5)',
+        'sw x1, a(x0)',
+        'lw x7, a'
+    ]);
+    
+    assert.deepEqual(processor.program.slice(0, 4).map(entry => entry.source),
+        ['auipc x1, 0x0', 'lw x1, 4(x1)', 'auipc x2, 0x0', 'lhu x2, 0(x2)']);
+    assert.equal(registers[1], -7);
+    assert.equal(registers[2], 0xffff);
+    assert.equal(registers[3], -7);
+    assert.equal(registers[4], -1);
+    assert.equal(registers[6], -7);
+    assert.equal(registers[7], -7);
+});
+
+test('una etiqueta como desplazamiento debe caber en 12 bits', () => {
+    const program = ['.data', '.space 2048', 'lejos: .word 1', '.text'];
+    
+    assert.throws(() => run([...program, 'lw x1, lejos(x0)'], { memorySize: 4096 }), /no cabe en el desplazamiento de 12 bits/);
+    assert.equal(run([...program, 'lw x1, lejos'], { memorySize: 4096 }).registers[1], 1);
+    assert.throws(() => run(['lw x1, nada']), /Etiqueta no definida: "nada"/);
+});
+
+test('los almacenamientos solo modifican los bytes direccionados (little-endian)', () => {
+    run([
+        '.data',
+        'v: .word 0x11223344, 0',
+        '.text',
+        'la x1, v',
+        'li x2, 0xaabbccdd',
+        'sb x2, 0(x1)',
+        'sh x2, 6(x1)'
+    ]);
+    
+    assert.equal(readWord(0), 0x112233dd);
+    assert.equal(readWord(4), 0xccdd0000 | 0);
+    assert.deepEqual(Array.from(processor.memory.slice(0, 4)), [0xdd, 0x33, 0x22, 0x11]);
+});
+
+test('los accesos fuera de la memoria detienen la ejecución sin completar la instrucción', () => {
+    const result = run(['addi x1, x0, 7', 'lw x1, 1022(x0)', 'addi x2, x0, 1'], { memorySize: 1024 });
+    
+    assert.equal(result.reason, 'fault');
+    assert.equal(result.pc, 4);
+    assert.equal(result.registers[1], 7);
+    assert.equal(result.registers[2], 0);
+});
+
+test('los saltos condicionales distinguen comparaciones con y sin signo', () => {
+    const { registers } = run([
+        'addi x1, x0, -1',
+        'addi x2, x0, 1',
+        'blt x1, x2, 8',      // tomado: -1 < 1
+        'addi x10, x10, 1',
+        'bltu x1, x2, 8',     // no tomado: 0xffffffff > 1
+        'addi x11, x11, 1',
+        'bge x2, x1, 8',      // tomado
+        'addi x12, x12, 1',
+        'bgeu x2, x1, 8',     // no tomado
+        'addi x13, x13, 1',
+        'beq x1, x1, 8',      // tomado
+        'addi x14, x14, 1',
+        'bne x1, x1, 8',      // no tomado
+        'addi x15, x15, 1'
+    ]);
+    
+    assert.deepEqual(registers.slice(10, 16), [0, 1, 0, 1, 0, 1]);
+});
+
+test('los saltos usan el desplazamiento en bytes relativo a su propia dirección', () => {
+    const result = run([
+        'addi x1, x0, 3',
+        'loop: addi x1, x1, -1',
+        'addi x2, x2, 1',
+        'bne x1, x0, loop',
+        'beq x0, x0, fin',
+        'addi x3, x0, 99',
+        'fin: addi x4, x0, 1'
+    ]);
+    
+    assert.equal(result.reason, 'end');
+    assert.equal(result.registers[2], 3);
+    assert.equal(result.registers[3], 0);
+    assert.equal(result.registers[4], 1);
+});
+
+test('JAL y JALR guardan la dirección de retorno y JALR pone a cero el bit bajo', () => {
+    const { registers } = run([
+        'jal ra, funcion',
+        'addi x5, x0, 1',
+        'jal x0, fin',
+        'funcion: addi x6, x0, 2',
+        'addi x7, ra, 1',
+        'jalr x8, x7, 0',
+        'fin: nop'
+    ]);
+    
+    assert.equal(registers[1], 4);
+    assert.equal(registers[5], 1);
+    assert.equal(registers[6], 2);
+    assert.equal(registers[8], 24);
+});
+
+test('EBREAK detiene la ejecución y ECALL exit termina el programa', () => {
+    assert.equal(run(['ebreak', 'addi x1, x0, 2']).reason, 'halt');
+    assert.equal(run(['ebreak', 'addi x1, x0, 2']).registers[1], 0);
+    
+    const result = run(['addi x1, x0, 1', 'li a7, 10', 'ecall', 'addi x1, x0, 2']);
+    assert.equal(result.reason, 'exit');
+    assert.equal(result.registers[1], 1);
+});
+
+test('el límite de instrucciones detiene los bucles infinitos', () => {
+    const result = run(['loop: addi x1, x1, 1', 'j loop'], { max: 100 });
+    
+    assert.equal(result.reason, 'limit');
+    assert.equal(result.executed, 100);
+    assert.equal(result.registers[1], 50);
+});
+
+test('un .word con varios valores en .text ocupa una palabra por valor', () => {
+    const result = run([
+        '        .word 0x00100093, 0x00200113   # addi x1, x0, 1 · addi x2, x0, 2',
+        '        addi x3, x0, 3',
+        'fin:    add x4, x1, x2'
+    ]);
+    
+    assert.equal(result.reason, 'end');
+    assert.deepEqual(processor.program.map(entry => entry.address), [0, 4, 8, 12]);
+    assert.equal(processor.symbols.fin, 12);
+    assert.deepEqual(result.registers.slice(1, 5), [1, 2, 3, 3]);
+});
@@ -0,0 +1,108 @@
+// ============================================
+// PRUEBAS DEL PREDICTOR DE SALTOS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run } = require('./helpers.js');
+
+const { setPredictorConfig, getPredictorStats, goToHistory } = simulator;
+
+// Dos bucles anidados: el interno da 4 vueltas y el externo 5 (25 saltos)
+const NESTED_LOOPS = [
+    'li s0, 5',
+    'externo: li t0, 4',
+    'interno: addi t0, t0, -1',
+    'bnez t0, interno',
+    'addi s0, s0, -1',
+    'bnez s0, externo'
+];
+
+// Un salto que se alterna entre tomado y no tomado en cada vuelta
+const ALTERNATING = [
+    'li t0, 40',
+    'li t1, 0',
+    'bucle: xori t1, t1, 1',
+    'beqz t1, siguiente',
+    'siguiente: addi t0, t0, -1',
+    'bnez t0, bucle'
+];
+
+test('cada predictor acierta lo esperado en bucles anidados', () => {
+    const expected = { 'not-taken': 6, btfn: 19, 'one-bit': 13, 'two-bit': 17 };
+    
+    Object.entries(expected).forEach(([type, correct]) => {
+        setPredictorConfig({ enabled: true, type, tableSize: 16, mispredictPenalty: 2 });
+        
+        ['single', 'pipeline'].forEach(mode => {
+            run(NESTED_LOOPS, { mode });
+            const stats = getPredictorStats();
+            
+            assert.equal(stats.branches, 25, `${type} (${mode})`);
+            assert.equal(stats.correct, correct, `${type} (${mode})`);
+            assert.equal(stats.penaltyCycles, (25 - correct) * 2);
+        });
+    });
+});
+
+test('los contadores de 2 bits saturan y un solo fallo no cambia la predicción', () => {
+    setPredictorConfig({ enabled: true, type: 'two-bit', tableSize: 16 });
+    run(NESTED_LOOPS);
+    
+    // bnez s0 (0x14, entrada 5): tomado 4 veces (1 → 2 → 3 → 3 → 3) y no tomado al final
+    assert.equal(processor.predictor.table[5], 2);
+    assert.equal(processor.predictor.table[3], 2);
+    assert.ok(processor.predictor.table.every(value => value >= 0 && value <= 3));
+});
+
+test('gshare aprende un patrón alternado que el contador de 2 bits no puede', () => {
+    setPredictorConfig({ enabled: true, type: 'two-bit', tableSize: 16 });
+    run(ALTERNATING);
+    const twoBit = getPredictorStats().accuracy;
+    
+    setPredictorConfig({ type: 'gshare' });
+    run(ALTERNATING);
+    const gshare = getPredictorStats().accuracy;
+    
+    assert.ok(gshare > 0.9);
+    assert.ok(gshare > twoBit);
+});
+
+test('deshacer un salto restaura la tabla, la historia y las estadísticas', () => {
+    setPredictorConfig({ enabled: true, type: 'gshare', tableSize: 16 });
+    run(ALTERNATING);
+    const end = processor.history.length;
+    const table = processor.predictor.table.slice();
+    const history = processor.predictor.history;
+    
+    goToHistory(0);
+    assert.deepEqual(processor.predictor.table, Array(16).fill(1));
+    assert.equal(processor.predictor.history, 0);
+    assert.equal(getPredictorStats().branches, 0);
+    
+    goToHistory(end);
+    assert.deepEqual(processor.predictor.table, table);
+    assert.equal(processor.predictor.history, history);
+    assert.equal(getPredictorStats().branches, 80);
+});
+
+test('un salto tomado a un destino desalineado también actualiza el predictor', () => {
+    setPredictorConfig({ enabled: true, type: 'two-bit', tableSize: 16, mispredictPenalty: 2 });
+    
+    ['single', 'pipeline'].forEach(mode => {
+        assert.equal(run(['beq x0, x0, 6', 'nop', 'nop'], { mode }).reason, 'fault');
+        assert.deepEqual(getPredictorStats(),
+            { branches: 1, correct: 0, mispredictions: 1, accuracy: 0, penaltyCycles: 2 });
+        assert.equal(processor.predictor.table[0], 2);
+    });
+});
+
+test('sin predictor los saltos no se cuentan y las configuraciones inválidas se rechazan', () => {
+    setPredictorConfig({ enabled: false });
+    run(NESTED_LOOPS);
+    assert.equal(getPredictorStats().branches, 0);
+    
+    assert.throws(() => setPredictorConfig({ type: 'perceptron' }), RangeError);
+    assert.throws(() => setPredictorConfig({ tableSize: 12 }), RangeError);
+    assert.equal(processor.config.predictor.tableSize, 16);
+});
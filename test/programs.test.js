@@ -0,0 +1,71 @@
+// ============================================
+// PROGRAMAS DE REFERENCIA (ESTADO FINAL ESPERADO)
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run, readProgram, readWord } = require('./helpers.js');
+
+// Cada programa se comprueba en monociclo y en el pipeline con y sin adelantamiento
+const MODES = [
+    { mode: 'single' },
+    { mode: 'pipeline', forwarding: true },
+    { mode: 'pipeline', forwarding: false }
+];
+
+/**
+ * Leer varias palabras consecutivas de la memoria de datos
+ * @param {number} address - Dirección de la primera palabra
+ * @param {number} count - Número de palabras
+ * @returns {Array}
+ */
+function readWords(address, count) {
+    return Array.from({ length: count }, (_, i) => readWord(address + i * 4));
+}
+
+MODES.forEach(options => {
+    const label = options.mode === 'single' ? 'monociclo' : `pipeline ${options.forwarding ? 'con' : 'sin'} adelantamiento`;
+    
+    test(`factorial recursivo (${label})`, () => {
+        const result = run(readProgram('factorial.s'), options);
+        
+        assert.equal(result.reason, 'end');
+        assert.deepEqual(readWords(processor.symbols.resultados, 7), [1, 2, 6, 24, 120, 720, 5040]);
+        assert.equal(result.registers[2], 1024); // la pila queda equilibrada
+    });
+    
+    test(`ordenación por burbuja (${label})`, () => {
+        const result = run(readProgram('bubble-sort.s'), options);
+        
+        assert.equal(result.reason, 'end');
+        assert.deepEqual(readWords(processor.symbols.vector, 10),
+            [-2147483648, -300, -5, 0, 7, 7, 23, 42, 1024, 2147483647]);
+    });
+    
+    test(`Fibonacci en bytes, medias palabras y palabras (${label})`, () => {
+        const result = run(readProgram('fibonacci.s'), options);
+        const fibonacci = [0, 1];
+        while (fibonacci.length < 20) {
+            fibonacci.push(fibonacci.at(-1) + fibonacci.at(-2));
+        }
+        
+        assert.equal(result.reason, 'end');
+        fibonacci.forEach((value, i) => {
+            assert.equal(simulator.readMemory(processor.symbols.bytes + i, 1, false), value & 0xff);
+            assert.equal(simulator.readMemory(processor.symbols.medias + i * 2, 2, false), value & 0xffff);
+            assert.equal(readWord(processor.symbols.palabras + i * 4), value);
+        });
+    });
+});
+
+test('el pipeline con adelantamiento necesita menos ciclos que sin él', () => {
+    run(readProgram('bubble-sort.s'), { mode: 'pipeline', forwarding: true });
+    const withForwarding = { ...processor.pipeline };
+    
+    run(readProgram('bubble-sort.s'), { mode: 'pipeline', forwarding: false });
+    const withoutForwarding = { ...processor.pipeline };
+    
+    assert.equal(withForwarding.retired, withoutForwarding.retired);
+    assert.ok(withForwarding.stalls < withoutForwarding.stalls);
+    assert.ok(withForwarding.cycle < withoutForwarding.cycle);
+});
@@ -0,0 +1,29 @@
+# Ordenación por burbuja de un vector de enteros con signo
+        .data
+vector: .word 23, -5, 1024, 0, -300, 7, 7, 0x7fffffff, -2147483648, 42
+n:      .word 10
+
+        .text
+        la a0, vector
+        la t0, n
+        lw a1, 0(t0)
+        addi a1, a1, -1         # pasadas = n - 1
+externo:
+        blez a1, fin
+        mv t0, a0
+        li t1, 0                # intercambios en esta pasada
+        mv t2, a1
+interno:
+        lw t3, 0(t0)
+        lw t4, 4(t0)
+        ble t3, t4, siguiente
+        sw t4, 0(t0)
+        sw t3, 4(t0)
+        addi t1, t1, 1
+siguiente:
+        addi t0, t0, 4
+        addi t2, t2, -1
+        bnez t2, interno
+        addi a1, a1, -1
+        bnez t1, externo        # sin intercambios el vector ya está ordenado
+fin:    ebreak
@@ -0,0 +1,41 @@
+# Factorial recursivo: guarda 1!..7! en el vector resultados
+        .data
+resultados: .space 28
+
+        .text
+main:   li sp, 1024             # pila al final de la memoria de datos
+        la s0, resultados
+        li s1, 1                # n
+        li s2, 8
+bucle:  mv a0, s1
+        call factorial
+        sw a0, 0(s0)
+        addi s0, s0, 4
+        addi s1, s1, 1
+        blt s1, s2, bucle
+        j fin
+
+# a0 = a0! (recursivo, guarda ra y n en la pila)
+factorial:
+        addi sp, sp, -8
+        sw ra, 4(sp)
+        sw a0, 0(sp)
+        li t0, 1
+        ble a0, t0, caso_base
+        addi a0, a0, -1
+        call factorial
+        lw t1, 0(sp)
+        mv t2, a0               # t2 = (n-1)!, a0 = n * t2 por sumas sucesivas
+        li a0, 0
+multiplicar:
+        add a0, a0, t2
+        addi t1, t1, -1
+        bnez t1, multiplicar
+        j salir
+caso_base:
+        li a0, 1
+salir:  lw ra, 4(sp)
+        addi sp, sp, 8
+        ret
+
+fin:    nop
@@ -0,0 +1,24 @@
+# Sucesión de Fibonacci: los 20 primeros términos en bytes, medias palabras y palabras
+        .data
+bytes:  .space 20
+medias: .space 40
+palabras: .space 80
+
+        .text
+        la s0, bytes
+        la s1, medias
+        la s2, palabras
+        li t0, 0                # F(i)
+        li t1, 1                # F(i+1)
+        li t3, 20
+bucle:  sb t0, 0(s0)
+        sh t0, 0(s1)
+        sw t0, 0(s2)
+        add t2, t0, t1
+        mv t0, t1
+        mv t1, t2
+        addi s0, s0, 1
+        addi s1, s1, 2
+        addi s2, s2, 4
+        addi t3, t3, -1
+        bnez t3, bucle
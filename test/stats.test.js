@@ -0,0 +1,101 @@
+// ============================================
+// PRUEBAS DE LAS ESTADÍSTICAS DE EJECUCIÓN
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run, readProgram } = require('./helpers.js');
+
+const { getRunStats, buildStatsCSV, goToHistory } = simulator;
+
+const MODES = [
+    { mode: 'single' },
+    { mode: 'pipeline', forwarding: true },
+    { mode: 'pipeline', forwarding: false }
+];
+
+// Bucle de 3 iteraciones: 3 saltos, 2 tomados y 1 no tomado
+const LOOP = [
+    '        li t0, 3',
+    'bucle:  lw t1, 0(x0)',
+    '        add t2, t2, t1',
+    '        sw t2, 4(x0)',
+    '        addi t0, t0, -1',
+    '        bnez t0, bucle',
+    '        jal x0, fin',
+    'fin:    lui t3, 1'
+];
+
+MODES.forEach(options => {
+    const label = options.mode === 'single' ? 'monociclo' : `pipeline ${options.forwarding ? 'con' : 'sin'} adelantamiento`;
+    
+    test(`mezcla de instrucciones, saltos y accesos a memoria (${label})`, () => {
+        run(LOOP, options);
+        const stats = getRunStats();
+        
+        assert.equal(stats.instructions, 18);
+        assert.deepEqual(
+            [stats.R, stats.I, stats.load, stats.store, stats.branch, stats.jump, stats.upper, stats.system],
+            [3, 4, 3, 3, 3, 1, 1, 0]);
+        assert.equal(stats.branchesTaken, 2);
+        assert.equal(stats.branchesNotTaken, 1);
+        assert.equal(stats.memoryReads, 3);
+        assert.equal(stats.memoryWrites, 3);
+        
+        // Mapa de calor: el cuerpo del bucle se ejecuta tres veces
+        assert.equal(processor.executionCounts[0], 1);
+        assert.equal(processor.executionCounts[processor.symbols.bucle], 3);
+        assert.equal(processor.executionCounts[processor.symbols.fin], 1);
+    });
+});
+
+test('el CPI y el tiempo dependen del modo y del periodo de reloj', () => {
+    run(readProgram('bubble-sort.s'));
+    const single = getRunStats();
+    assert.equal(single.cycles, single.instructions);
+    assert.equal(single.cpi, 1);
+    assert.equal(single.time, single.instructions * 10);
+    
+    processor.config.clockPeriod = 2.5;
+    run(readProgram('bubble-sort.s'), { mode: 'pipeline' });
+    const pipeline = getRunStats();
+    assert.equal(pipeline.instructions, single.instructions);
+    assert.equal(pipeline.cycles, processor.pipeline.cycle);
+    assert.ok(pipeline.cpi > 1);
+    assert.equal(pipeline.time, pipeline.cycles * 2.5);
+    processor.config.clockPeriod = 10;
+});
+
+test('deshacer pasos restaura los contadores y el mapa de calor', () => {
+    run(LOOP);
+    const final = getRunStats();
+    
+    goToHistory(3);
+    assert.equal(getRunStats().instructions, 3);
+    assert.equal(getRunStats().load, 1);
+    assert.equal(processor.executionCounts[processor.symbols.bucle], 1);
+    assert.equal(processor.executionCounts[processor.symbols.fin] || 0, 0);
+    
+    goToHistory(processor.history.length);
+    assert.deepEqual(getRunStats(), final);
+    assert.equal(processor.executionCounts[processor.symbols.bucle], 3);
+    
+    simulator.resetProcessor();
+    assert.equal(getRunStats().instructions, 0);
+    assert.deepEqual(processor.executionCounts, {});
+});
+
+test('el CSV incluye las métricas y una fila por instrucción', () => {
+    run(['li t0, 1', 'beq t0, x0, fin', 'fin: addi a0, t0, 2']);
+    const lines = buildStatsCSV().trim().split('\n');
+    
+    assert.equal(lines[0], 'métrica,valor');
+    assert.ok(lines.includes('instrucciones,3'));
+    assert.ok(lines.includes('saltos no tomados,1'));
+    assert.ok(lines.includes('"Sistema (FENCE, ECALL, CSR…)",0'));
+    assert.deepEqual(lines.slice(-3), [
+        '1,0x00000000,"addi x5, x0, 1",1',
+        '2,0x00000004,"beq t0, x0, fin",1',
+        '3,0x00000008,"addi a0, t0, 2",1'
+    ]);
+});
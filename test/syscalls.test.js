@@ -0,0 +1,120 @@
+// ============================================
+// PRUEBAS DE LAS LLAMADAS AL SISTEMA (ECALL)
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, run } = require('./helpers.js');
+
+const MODES = [
+    { mode: 'single' },
+    { mode: 'pipeline', forwarding: true },
+    { mode: 'pipeline', forwarding: false }
+];
+
+// Lee dos enteros, escribe su suma y termina con el código 3
+const SUM_PROGRAM = [
+    '.data',
+    'msg: .asciz "Suma: "',
+    '.text',
+    'li a7, 5',
+    'ecall',
+    'mv t0, a0',
+    'ecall',
+    'add t1, t0, a0',
+    'li a7, 4',
+    'la a0, msg',
+    'ecall',
+    'li a7, 1',
+    'mv a0, t1',
+    'ecall',
+    'li a7, 11',
+    "li a0, '\\n'",
+    'ecall',
+    'li a7, 93',
+    'li a0, 3',
+    'ecall',
+    'sw t1, 0(x0)' // No llega a ejecutarse
+];
+
+MODES.forEach(options => {
+    const label = options.mode === 'single' ? 'monociclo' : `pipeline ${options.forwarding ? 'con' : 'sin'} adelantamiento`;
+    
+    test(`read_int espera la entrada y la consola recoge la salida (${label})`, () => {
+        assert.equal(run(SUM_PROGRAM, options).reason, 'input');
+        
+        processor.environment.input.push('40', '0x2');
+        const result = simulator.runUntilHalt(1000);
+        
+        assert.equal(result.reason, 'exit');
+        assert.equal(processor.environment.exitCode, 3);
+        assert.equal(processor.environment.output, '40\n0x2\nSuma: 42\n');
+        assert.equal(simulator.readMemory(0, 1, false), 'S'.charCodeAt(0));
+        assert.equal(processor.registers[6], 42);
+    });
+});
+
+test('read_int rechaza las líneas que no son un entero y sigue esperando', () => {
+    MODES.forEach(options => {
+        assert.equal(run(['li a7, 5', 'ecall', 'addi a1, a0, 1'], options).reason, 'input');
+        
+        processor.environment.input.push('4x', '0xG');
+        assert.equal(simulator.runUntilHalt(1000).reason, 'input');
+        assert.equal(processor.environment.waitingInput, true);
+        assert.equal(processor.fault, null);
+        assert.equal(processor.environment.output,
+            '4x\n⛔ "4x" no es un número válido: escribe un entero\n' +
+            '0xG\n⛔ "0xG" no es un número válido: escribe un entero\n');
+        
+        processor.environment.input.push('41');
+        assert.equal(simulator.runUntilHalt(1000).reason, 'end');
+        assert.equal(processor.registers[11], 42);
+        assert.equal(processor.environment.waitingInput, false);
+    });
+});
+
+test('exit descarta las instrucciones posteriores', () => {
+    run(['li a7, 10', 'ecall', 'li t0, 5', 'sw t0, 0(x0)'], { mode: 'pipeline' });
+    
+    assert.equal(processor.environment.exitCode, 0);
+    assert.equal(processor.registers[5], 0);
+    assert.equal(simulator.readMemory(0, 4, true), 0);
+    assert.equal(simulator.runUntilHalt(10).executed, 0);
+});
+
+test('sbrk reserva bloques alineados a continuación de los datos', () => {
+    const result = run([
+        '.data',
+        'v: .byte 1, 2, 3, 4, 5',
+        '.text',
+        'li a7, 9',
+        'li a0, 6',
+        'ecall',
+        'mv s0, a0',
+        'li a0, 4',
+        'ecall',
+        'mv s1, a0',
+        'li a0, 2000',
+        'ecall'
+    ]);
+    
+    assert.equal(result.registers[8], 8);
+    assert.equal(result.registers[9], 16);
+    assert.equal(result.reason, 'fault');
+});
+
+test('las llamadas desconocidas son fallos', () => {
+    assert.equal(run(['li a7, 1234', 'ecall']).reason, 'fault');
+    assert.match(processor.fault.message, /desconocida \(a7 = 1234\)/);
+});
+
+test('deshacer una llamada al sistema restaura la consola', () => {
+    run(['li a7, 1', 'li a0, 7', 'ecall', 'ecall']);
+    assert.equal(processor.environment.output, '77');
+    
+    simulator.goToHistory(processor.history.length - 1);
+    assert.equal(processor.environment.output, '7');
+    
+    simulator.goToHistory(processor.history.length);
+    assert.equal(processor.environment.output, '77');
+});
@@ -0,0 +1,122 @@
+// ============================================
+// PRUEBAS DE LOS CSR Y LAS EXCEPCIONES
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulator, processor, assemble, run } = require('./helpers.js');
+
+const MODES = [
+    { mode: 'single' },
+    { mode: 'pipeline', forwarding: true },
+    { mode: 'pipeline', forwarding: false }
+];
+
+/**
+ * Programa con un manejador que guarda mcause, mepc, mtval y mstatus en s0-s3
+ * y continúa en la instrucción siguiente a la que provocó la excepción
+ * @param {Array} body - Instrucciones que se ejecutan con el manejador instalado
+ * @returns {Array} - Líneas del programa
+ */
+function withHandler(body) {
+    return [
+        '        la t0, manejador',
+        '        csrw mtvec, t0',
+        '        csrsi mstatus, 8',
+        ...body,
+        '        li a1, 1',
+        '        j fin',
+        'manejador:',
+        '        csrr s0, mcause',
+        '        csrr s1, mepc',
+        '        csrr s2, mtval',
+        '        csrr s3, mstatus',
+        '        addi t1, s1, 4',
+        '        csrw mepc, t1',
+        '        mret',
+        'fin:    nop'
+    ];
+}
+
+test('las instrucciones de Zicsr se codifican con el número de CSR en imm', () => {
+    assert.equal(assemble('csrrw x5, mtvec, x6'), 0x305312F3);
+    assert.equal(assemble('csrrsi x0, mstatus, 8'), 0x30046073);
+    assert.equal(assemble('csrrs a0, 0x342, x0'), 0x34202573);
+    assert.equal(assemble('mret'), 0x30200073);
+    assert.equal(simulator.getMnemonic(simulator.decodeInstruction(0x30200073)), 'mret');
+    
+    assert.throws(() => assemble('csrrs a0, satp, x0'), /CSR desconocido/);
+    assert.throws(() => assemble('csrrwi a0, mtvec, 32'), /fuera de rango/);
+});
+
+MODES.forEach(options => {
+    const label = options.mode === 'single' ? 'monociclo' : `pipeline ${options.forwarding ? 'con' : 'sin'} adelantamiento`;
+    
+    test(`una carga desalineada salta al manejador y MRET vuelve (${label})`, () => {
+        const result = run(withHandler(['        li a0, 7', 'carga:  lw a0, 2(x0)']), options);
+        
+        assert.equal(result.reason, 'end');
+        assert.equal(result.registers[8], 4);                        // mcause
+        assert.equal(result.registers[9], processor.symbols.carga);  // mepc
+        assert.equal(result.registers[18], 2);                       // mtval
+        assert.equal(result.registers[19], 0x1880);                  // MPIE = 1, MIE = 0
+        assert.equal(result.registers[10], 7);                       // la carga no se completa
+        assert.equal(result.registers[11], 1);
+        assert.equal(processor.csr.mstatus, 0x1888);                 // MRET restaura MIE
+    });
+    
+    test(`instrucciones ilegales y accesos fuera de rango (${label})`, () => {
+        let result = run(withHandler(['        .word 0xFFFFFFFF']), options);
+        assert.equal(result.registers[8], 2);
+        assert.equal(result.registers[18] >>> 0, 0xFFFFFFFF);
+        assert.equal(result.registers[11], 1);
+        
+        result = run(withHandler(['        li t2, 0x80000000', '        sw t2, 0(t2)']), options);
+        assert.equal(result.registers[8], 7);
+        assert.equal(result.registers[18] >>> 0, 0x80000000);
+        
+        result = run(withHandler(['        csrr a0, 0x7C0']), options);
+        assert.equal(result.registers[8], 2);
+        assert.equal(result.registers[18] >>> 0, 0x7C002573);
+    });
+    
+    test(`los valores leídos de un CSR se usan en la instrucción siguiente (${label})`, () => {
+        const result = run([
+            'li t0, 0x100',
+            'csrw mtvec, t0',
+            'csrr t1, mtvec',
+            'addi t2, t1, 1',
+            'csrrw t3, mtvec, t2',
+            'csrrc t4, mtvec, t0',
+            'csrr t5, mtvec'
+        ], options);
+        
+        assert.equal(result.registers[7], 0x101);
+        assert.equal(result.registers[28], 0x100);
+        assert.equal(result.registers[29], 0x100);  // mtvec ignora los bits bajos
+        assert.equal(result.registers[30], 0);
+    });
+});
+
+test('sin manejador la excepción detiene la ejecución como un fallo', () => {
+    MODES.forEach(options => {
+        const result = run(['addi x1, x0, 1', 'lw x2, 1(x0)', 'addi x3, x0, 3'], options);
+        
+        assert.equal(result.reason, 'fault');
+        assert.equal(result.pc, 4);
+        assert.equal(result.registers[3], 0);
+        assert.equal(processor.csr.mcause, 0);
+    });
+});
+
+test('deshacer una excepción restaura los CSR', () => {
+    run(withHandler(['        lw a0, 2(x0)']));
+    const trapIndex = processor.history.findIndex(record => record.after.csr.mcause === 4);
+    
+    simulator.goToHistory(trapIndex);
+    assert.equal(processor.csr.mcause, 0);
+    assert.equal(processor.csr.mstatus, 0x1808);
+    
+    simulator.goToHistory(trapIndex + 1);
+    assert.equal(processor.csr.mcause, 4);
+});